@@ -0,0 +1,116 @@
+import { createHash, randomUUID } from "node:crypto";
+import { mkdirSync, readdirSync, statSync, unlinkSync } from "node:fs";
+import { readFile, writeFile, rename, unlink, utimes } from "node:fs/promises";
+import { join } from "node:path";
+
+// Generated files on disk, named by a hash of everything that goes into them, so
+// a repeat request is served without building anything. Files unused for maxAge
+// ms are dropped, then the least recently used until the cache fits in maxBytes.
+
+// Bump whenever the pipeline draws the same settings differently, so files made
+// by an older build are never served
+const PIPELINE_VERSION = 1;
+
+const KEY_RE = /^([0-9a-f]{64})\.\w+$/;
+
+const sha256 = data => createHash("sha256").update(data).digest("hex");
+
+// JSON with object keys sorted, so equal settings hash alike in any order
+const stableJSON = value => JSON.stringify(value, (_, v) =>
+  v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a < b ? -1 : 1)) : v);
+
+const fontDigests = new WeakMap(); // font file bytes -> sha256
+
+/**
+ * Key of the file a request makes: format ("STL", "3MF" or "OBJ"), settings as
+ * normalized by designSettings, the download title (3MF files carry it) and the
+ * font file's bytes, whose contents count rather than the font's name.
+ */
+export function cacheKey({ format, settings, title, fontBytes }) {
+  if (!fontDigests.has(fontBytes)) fontDigests.set(fontBytes, sha256(fontBytes));
+  return sha256(stableJSON([PIPELINE_VERSION, format, title, fontDigests.get(fontBytes), settings]));
+}
+
+/**
+ * Opens (creating it if needed) the cache in dir and indexes what is already
+ * there, last use taken from each file's mtime. Returns { get, put, sweep, stats }.
+ */
+export function openCache({ dir, maxBytes, maxAge }) {
+  mkdirSync(dir, { recursive: true });
+  const entries = new Map(); // key -> { file, size, used }
+  const writing = new Map(); // key -> put in progress
+  let total = 0;
+  for (const file of readdirSync(dir)) {
+    const path = join(dir, file);
+    // half-written files from a crash
+    if (file.endsWith(".tmp")) { unlinkSync(path); continue; }
+    const match = KEY_RE.exec(file);
+    if (!match) continue;
+    const { size, mtimeMs } = statSync(path);
+    entries.set(match[1], { file, size, used: mtimeMs });
+    total += size;
+  }
+
+  async function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    total -= entry.size;
+    await unlink(join(dir, entry.file)).catch(() => {});
+  }
+
+  async function sweep(now = Date.now()) {
+    const byUse = [...entries].sort(([, a], [, b]) => a.used - b.used);
+    for (const [key, { used }] of byUse) {
+      if (now - used <= maxAge && total <= maxBytes) break;
+      await remove(key);
+    }
+  }
+
+  async function store(key, ext, body) {
+    if (entries.has(key)) await remove(key);
+    if (body.length > maxBytes) return;
+    const file = `${key}.${ext}`;
+    // written aside under a name of its own and renamed, so a reader never sees
+    // half a file
+    const temp = join(dir, `${file}.${randomUUID()}.tmp`);
+    await writeFile(temp, body);
+    await rename(temp, join(dir, file));
+    entries.set(key, { file, size: body.length, used: Date.now() });
+    total += body.length;
+    await sweep();
+  }
+
+  return {
+    // The cached file's bytes, or null
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.used > maxAge) { await remove(key); return null; }
+      let body;
+      try { body = await readFile(join(dir, entry.file)); } catch {
+        // deleted behind our back
+        entries.delete(key);
+        total -= entry.size;
+        return null;
+      }
+      entry.used = Date.now();
+      // keeps the order of use across restarts
+      const time = new Date(entry.used);
+      await utimes(join(dir, entry.file), time, time).catch(() => {});
+      return body;
+    },
+
+    // Stores body under key; a put already under way for the key is joined,
+    // as equal keys mean equal files
+    put(key, ext, body) {
+      if (!writing.has(key)) {
+        writing.set(key, store(key, ext, body).finally(() => writing.delete(key)));
+      }
+      return writing.get(key);
+    },
+
+    sweep,
+    stats: () => ({ files: entries.size, bytes: total }),
+  };
+}
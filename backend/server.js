@@ -0,0 +1,161 @@
+import { createServer } from "node:http";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { buildKeychain, exportKeychain, designSettings } from "../src/keychain.js";
+import { parseDesignJSON } from "../src/design.js";
+import { EXPORT_FORMATS, toZip } from "../src/exporters.js";
+import { readBundledFont } from "../src/nodeFonts.js";
+import { safeFilename } from "../src/text.js";
+import { cacheKey, openCache } from "./cache.js";
+
+// Keychain files over HTTP, made by the editor's own pipeline so they match what
+// the browser exports.
+//   POST /generate?format=stl|3mf|obj   body: a design file, or just its settings
+//   GET  /health
+// The format may also come as a "format" field of the body; STL is the default.
+// OBJ comes zipped with its .mtl. Errors are JSON { error }.
+// Files are cached on disk by a hash of what goes into them, which is also their
+// ETag: a request repeating it in If-None-Match gets a 304 without any work.
+//   CACHE_DIR            where (default backend/stl_cache)
+//   CACHE_MAX_MB         total size kept (default 500)
+//   CACHE_MAX_AGE_DAYS   drop files unused this long (default 30)
+// Run this file to serve; importing it only provides createService.
+
+// designs with an uploaded outline or icon carry their loops, so allow some room
+const MAX_BODY = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = { STL: "model/stl", "3MF": "model/3mf", OBJ: "application/zip" };
+const EXTENSIONS = { STL: "stl", "3MF": "3mf", OBJ: "zip" };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    // past the limit the rest is read and dropped, so the 413 still gets through
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) reject(new HttpError(413, "The design is too large"));
+      else chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const toBuffer = data => typeof data === "string" ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset ?? 0, data.byteLength);
+
+// Quoted ASCII filename for old clients plus the exact UTF-8 one
+const disposition = name => `attachment; filename="${name.replace(/[^\x20-\x7e]|["\\]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+
+/**
+ * What a /generate request asks for: { format, settings, font, title, filename },
+ * settings normalized by designSettings. Throws HttpError 400 for a malformed
+ * request.
+ */
+function parseRequest(source, query) {
+  let data;
+  try { data = JSON.parse(source); } catch { throw new HttpError(400, "The body is not valid JSON"); }
+  const format = String(query.get("format") ?? data?.format ?? "stl").toUpperCase();
+  if (!EXPORT_FORMATS.includes(format)) throw new HttpError(400, `Unknown format "${format.toLowerCase()}"; use stl, 3mf or obj`);
+  let settings;
+  try { settings = designSettings(parseDesignJSON(source)); } catch (e) { throw new HttpError(400, e.message); }
+  if (!settings.name.trim()) throw new HttpError(400, "name is required");
+  const font = readBundledFont(settings.font);
+  if (!font) throw new HttpError(400, `Font "${settings.font.split(":")[0]}" is not available`);
+
+  // named like the editor's downloads: Name_Font
+  const title = safeFilename(`${settings.name.split("\n").filter(l => l.trim()).join("_")}_${font.key.split(":")[0]}`);
+  return { format, settings: { ...settings, font: font.key }, font, title, filename: `${title}.${EXTENSIONS[format]}` };
+}
+
+// Builds a request's file; throws HttpError 422 for a design the pipeline can't
+// turn into a printable model
+function generate({ format, settings, font, title }) {
+  let files;
+  try {
+    files = exportKeychain(buildKeychain({ ...settings, fontFile: font.bytes }), format, title);
+  } catch (e) { throw new HttpError(422, e.message); }
+  return toBuffer(format === "OBJ" ? toZip(files) : Object.values(files)[0]);
+}
+
+// Whether an If-None-Match header names etag (weak or strong) or is "*"
+const matchesETag = (header, etag) => !!header && header.split(",").some(t => {
+  const tag = t.trim().replace(/^W\//, "");
+  return tag === "*" || tag === etag;
+});
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "Content-Disposition, ETag, X-Cache",
+    ...headers,
+  });
+  res.end(body);
+}
+
+const sendJSON = (res, status, value) => send(res, status, JSON.stringify(value), { "Content-Type": "application/json" });
+
+async function handle(req, res, { cache, logger }) {
+  const url = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") {
+    return send(res, 204, null, { "Access-Control-Allow-Methods": "GET, POST, OPTIONS", "Access-Control-Allow-Headers": "Content-Type, If-None-Match" });
+  }
+  if (url.pathname === "/health" && req.method === "GET") return sendJSON(res, 200, { status: "ok" });
+  if (url.pathname !== "/generate") return sendJSON(res, 404, { error: "Not found" });
+  if (req.method !== "POST") return send(res, 405, JSON.stringify({ error: "Use POST" }), { "Content-Type": "application/json", Allow: "POST, OPTIONS" });
+
+  const started = Date.now();
+  const request = parseRequest(await readBody(req), url.searchParams);
+  const key = cacheKey({ format: request.format, settings: request.settings, title: request.title, fontBytes: request.font.bytes });
+  // clients revalidate every time; the answer is cheap and a 304 when unchanged
+  const headers = { ETag: `"${key}"`, "Cache-Control": "no-cache" };
+  if (matchesETag(req.headers["if-none-match"], headers.ETag)) return send(res, 304, null, headers);
+
+  let body = await cache.get(key);
+  const hit = !!body;
+  if (!hit) {
+    body = generate(request);
+    // a failed write costs the next request a rebuild, not this one its file
+    await cache.put(key, EXTENSIONS[request.format], body).catch(err => logger.error(err));
+  }
+  send(res, 200, body, {
+    ...headers,
+    "X-Cache": hit ? "HIT" : "MISS",
+    "Content-Type": CONTENT_TYPES[request.format],
+    "Content-Length": body.length,
+    "Content-Disposition": disposition(request.filename),
+  });
+  logger.log(`${hit ? "served cached" : "generated"} ${request.filename} (${body.length} bytes) in ${Date.now() - started} ms`);
+}
+
+/**
+ * The service as an http.Server, not yet listening. cache is an openCache() store;
+ * logger gets a line per file served and any unexpected error.
+ */
+export function createService({ cache, logger = console }) {
+  return createServer((req, res) => {
+    handle(req, res, { cache, logger }).catch(err => {
+      if (!(err instanceof HttpError)) logger.error(err);
+      if (!res.headersSent) sendJSON(res, err.status ?? 500, { error: err.status ? err.message : "Generation failed" });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const cache = openCache({
+    dir: process.env.CACHE_DIR ?? fileURLToPath(new URL("./stl_cache/", import.meta.url)),
+    maxBytes: Number(process.env.CACHE_MAX_MB ?? 500) * 1024 * 1024,
+    maxAge: Number(process.env.CACHE_MAX_AGE_DAYS ?? 30) * 24 * 60 * 60 * 1000,
+  });
+  // age limits also apply while nothing new is written
+  setInterval(() => cache.sweep().catch(err => console.error(err)), 60 * 60 * 1000).unref();
+  const PORT = Number(process.env.PORT ?? 5000);
+  const HOST = process.env.HOST ?? "127.0.0.1";
+  createService({ cache }).listen(PORT, HOST, () => console.log(`Keychain service on http://${HOST}:${PORT}`));
+}
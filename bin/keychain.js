@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { basename, join } from "node:path";
+import { parseArgs } from "node:util";
+import { buildKeychain, exportKeychain } from "../src/keychain.js";
+import { EXPORT_FORMATS } from "../src/exporters.js";
+import { BUNDLED_FONTS, findFontKey } from "../src/fonts.js";
+import { readBundledFont } from "../src/nodeFonts.js";
+import { DEFAULTS, parseDesignJSON } from "../src/design.js";
+
+// Generates keychain files from the command line, e.g.
+//   keychain --name Ana --font Pacifico --format 3mf -o out/
+
+const USAGE = `Usage: keychain --name <text> [options]
+
+  -n, --name <text>       the name on the keychain; "\\n" starts a new line
+  -f, --font <font>       a bundled font (${Object.keys(BUNDLED_FONTS).map(k => k.split(":")[0]).join(", ")})
+                          or a .ttf, .otf or .woff file
+      --format <format>   stl (default), 3mf or obj
+  -o, --out <dir>         where to write the files (default: the current directory)
+  -d, --design <file>     start from a design file saved in the editor
+  -s, --set <key=value>   any design setting, e.g. --set textCapHeight=24 (repeatable)
+  -h, --help              show this help`;
+
+class UsageError extends Error {}
+
+// A --set value read as the type of the setting's default
+function settingValue(key, raw) {
+  if (!(key in DEFAULTS)) throw new UsageError(`Unknown setting "${key}"`);
+  const def = DEFAULTS[key];
+  if (typeof def === "number") {
+    const n = Number(raw);
+    if (raw.trim() === "" || !Number.isFinite(n)) throw new UsageError(`${key} must be a number`);
+    return n;
+  }
+  if (typeof def === "boolean") {
+    if (raw !== "true" && raw !== "false") throw new UsageError(`${key} must be true or false`);
+    return raw === "true";
+  }
+  if (typeof def === "object") {
+    try { return JSON.parse(raw); } catch { throw new UsageError(`${key} must be JSON, e.g. {"AV":-0.5}`); }
+  }
+  return raw;
+}
+
+// { key, bytes } of a bundled font by name, or of a font file
+function readFont(name) {
+  const bundled = readBundledFont(name);
+  if (bundled) return bundled;
+  if (existsSync(name)) return { key: basename(name), bytes: readFileSync(name) };
+  throw new UsageError(`No font "${name}": use a bundled font or a font file`);
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      name: { type: "string", short: "n" },
+      font: { type: "string", short: "f" },
+      format: { type: "string", default: "stl" },
+      out: { type: "string", short: "o", default: "." },
+      design: { type: "string", short: "d" },
+      set: { type: "string", short: "s", multiple: true, default: [] },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) { console.log(USAGE); return; }
+  const format = values.format.toUpperCase();
+  if (!EXPORT_FORMATS.includes(format)) throw new UsageError(`Unknown format "${values.format}"`);
+
+  const settings = values.design ? parseDesignJSON(readFileSync(values.design, "utf8")) : {};
+  for (const pair of values.set) {
+    const at = pair.indexOf("=");
+    if (at < 1) throw new UsageError(`--set takes key=value, not "${pair}"`);
+    const key = pair.slice(0, at);
+    settings[key] = settingValue(key, pair.slice(at + 1));
+  }
+  if (values.name !== undefined) settings.name = values.name.replace(/\\n/g, "\n");
+  if (!settings.name?.trim()) throw new UsageError("Give a --name (or a design file with one)");
+
+  // a design's own font must be bundled, as design files only name it
+  const want = values.font ?? settings.font ?? DEFAULTS.font;
+  if (!values.font && !findFontKey(want)) {
+    throw new UsageError(`The design uses the font "${want.split(":")[0]}", which isn't bundled; pass it with --font <file>`);
+  }
+  const { key, bytes } = readFont(want);
+
+  const keychain = buildKeychain({ ...settings, font: key, fontFile: bytes });
+  if (keychain.missing.length) console.error(`keychain: skipped characters the font can't draw: ${keychain.missing.join(" ")}`);
+  const files = exportKeychain(keychain, format);
+  mkdirSync(values.out, { recursive: true });
+  for (const [file, data] of Object.entries(files)) {
+    const path = join(values.out, file);
+    writeFileSync(path, data);
+    console.log(path);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  const usage = e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(`keychain: ${e.message}${usage ? `\n\n${USAGE}` : ""}`);
+  process.exitCode = usage ? 2 : 1;
+}
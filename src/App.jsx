@@ -1,40 +1,69 @@
 import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import * as THREE from "three";
-import { SVGLoader } from "three/examples/jsm/loaders/SVGLoader";
-import { STLExporter } from "three/examples/jsm/exporters/STLExporter";
-import { mergeGeometries, mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils";
-import opentype from "opentype.js";
-import ClipperLib from "clipper-lib";
-
-const DEFAULTS = {
-  name: "Name",
-  font: "Bhineka:style=Regular",
-  textCapHeight: 20,
-  textHeight: 3.0,
-  borderHeight: 2.0,
-  borderOffset: 3.0,
-  gap: 0,
-  tabDiameter: 8.0,
-  holeDiameter: 4.0,
-  tabYOffset: 0.0,
-  borderColor: "#f9a8d4",
-  textColor: "#c084fc",
-};
+import { buffersToGeo } from "./geometry.js";
+import { assertWatertight, toSTL, toZip, exportOutline } from "./exporters.js";
+import { solidParts, solidUnion, nestLoops } from "./solid.js";
+import { DEFAULT_NOZZLE } from "./printability.js";
+import { MATERIALS, printStats, filamentUse } from "./estimate.js";
+import { normalizeText, filenameChars, safeFilename, MAX_LINES, MAX_LINE_CHARS } from "./text.js";
+import { FONT_FILE_RE, loadCustomFonts, saveCustomFont, deleteCustomFont, readFontFile } from "./customFonts.js";
+import { readSvgFile } from "./svg.js";
+import { BUNDLED_FONTS } from "./fonts.js";
+import { parseBatch, runBatch, openBuilder } from "./batch.js";
+import { DEFAULTS, designToJSON, designToHash, designFromHash, readDesignFile, parseDesignJSON } from "./design.js";
+import { listItems, putItem, deleteItem, newItemId, copyName, keyValueStore } from "./library.js";
+import { BED_PRESETS, footprint, packPlate, plateTransform, exportPlate } from "./plate.js";
+
+// Presets carry dimensions and colors; name, font, icon and outline stay as they are
+const PRESET_KEYS = [
+  "textCapHeight", "textHeight", "borderHeight", "borderOffset", "baseShape", "cornerRadius",
+  "gap", "tabDiameter", "holeDiameter", "tabAngle", "secondTab", "secondTabAngle", "filletRadius",
+  "lineSpacing", "letterSpacing", "textStyle", "strokeWidth", "textMode", "engraveDepth",
+  "edgeProfile", "textEdge", "baseTopEdge", "baseBottomEdge", "iconSize", "iconColorMode", "iconColor", "borderColor", "textColor",
+];
+const pickPreset = d => Object.fromEntries(PRESET_KEYS.map(k => [k, d[k]]));
+
+const BUILT_IN_PRESETS = [
+  { id: "builtin:default", name: "Default", builtIn: true, settings: pickPreset(DEFAULTS) },
+  {
+    id: "builtin:bag-tag", name: "Small bag tag", builtIn: true,
+    settings: pickPreset({ ...DEFAULTS, textCapHeight: 12, textHeight: 1.5, borderOffset: 2.5, baseShape: "rect", cornerRadius: 3, tabDiameter: 7, holeDiameter: 3.5 }),
+  },
+  {
+    id: "builtin:chunky", name: "Large chunky", builtIn: true,
+    settings: pickPreset({ ...DEFAULTS, textCapHeight: 32, textHeight: 4, borderHeight: 4, borderOffset: 5, tabDiameter: 12, holeDiameter: 6, filletRadius: 3 }),
+  },
+];
 
-const FONT_URLS = {
-  "Pacifico:style=Regular": "/fonts/Pacifico-Regular.ttf",
-  "Lobster:style=Regular": "/fonts/Lobster-Regular.ttf",
-  "Titan One:style=Regular": "/fonts/TitanOne-Regular.ttf",
-  "Luckiest Guy:style=Regular": "/fonts/LuckiestGuy-Regular.ttf",
-  "Bhineka:style=Regular": "/fonts/Bhineka-Regular.ttf",
+// Shortcuts for the tab angle; the tab snaps to the border in that direction
+const TAB_SIDES = [
+  { value: 180, label: "Left" }, { value: 90, label: "Top" },
+  { value: 0, label: "Right" }, { value: 270, label: "Bottom" },
+];
+
+const BASE_SHAPE_LABELS = {
+  contour: "Contour (follows the letters)",
+  rect: "Rounded rectangle",
+  capsule: "Capsule",
+  oval: "Oval",
+  circle: "Circle",
+  svg: "Custom outline (SVG)",
 };
 
+const FONT_URLS = Object.fromEntries(Object.entries(BUNDLED_FONTS).map(([key, file]) => [key, `/fonts/${file}`]));
+
+const FONT_STATUS_SUFFIX = { loading: " · loading…", error: " · failed" };
+
+// What the name box accepts: MAX_LINES lines of MAX_LINE_CHARS characters
+const clampName = v => v.split("\n").slice(0, MAX_LINES).map(l => Array.from(l).slice(0, MAX_LINE_CHARS).join("")).join("\n");
+
 const STORAGE_KEY = "keychain_colors_v1";
+const PRINTER_KEY = "keychain_printer_v1";
 const HEX_RE = /^#[0-9a-fA-F]{6}$/;
 
 async function readSavedColors() {
   try {
-    const r = await window.storage.get(STORAGE_KEY);
+    const r = await keyValueStore().get(STORAGE_KEY);
     if (!r) return null;
     const p = JSON.parse(r.value);
     return {
@@ -45,7 +74,7 @@ async function readSavedColors() {
 }
 
 async function persistColors(bc, tc) {
-  try { await window.storage.set(STORAGE_KEY, JSON.stringify({ borderColor: bc, textColor: tc })); } catch {}
+  try { await keyValueStore().set(STORAGE_KEY, JSON.stringify({ borderColor: bc, textColor: tc })); } catch {}
 }
 
 const LIGHT = {
@@ -63,75 +92,104 @@ const DARK = {
   blob1: "#f472b612", blob2: "#c084fc12",
 };
 
-const SCALE = 1000;
-const toCP = p => p.map(([x, y]) => ({ X: Math.round(x * SCALE), Y: Math.round(y * SCALE) }));
-const fromCP = p => p.map(v => [v.X / SCALE, v.Y / SCALE]);
-
-function shapeToOuterPaths(shape, q = 60) {
-  const pts = shape.getPoints(q);
-  return pts.length >= 3 ? [pts.map(p => [p.x, p.y])] : [];
+function download(data, filename, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([data], { type }));
+  a.download = filename; a.click(); URL.revokeObjectURL(a.href);
 }
 
-function offsetUnion(paths, delta) {
-  const co = new ClipperLib.ClipperOffset(2, 0.75 * SCALE);
-  co.AddPaths(paths.map(toCP), ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
-  const off = new ClipperLib.Paths();
-  co.Execute(off, delta * SCALE);
-  const c = new ClipperLib.Clipper();
-  c.AddPaths(off, ClipperLib.PolyType.ptSubject, true);
-  const sol = new ClipperLib.Paths();
-  c.Execute(ClipperLib.ClipType.ctUnion, sol, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
-  return sol.map(fromCP);
+function colorChangeNote(borderHeight) {
+  return [
+    `Keychain Generator - color change`,
+    ``,
+    `Base + tab: 0.00 - ${borderHeight.toFixed(2)} mm`,
+    `Text: starts at Z = ${borderHeight.toFixed(2)} mm`,
+    ``,
+    `Single extruder: insert a filament change (M600 / "Add color change") at Z = ${borderHeight.toFixed(2)} mm,`,
+    `i.e. before the first layer printed above the base.`,
+    `Multi-material: load both STLs as parts of one object and assign one filament to each.`,
+  ].join("\n");
 }
 
-function signedArea(poly) {
-  let a = 0;
-  for (let i = 0; i < poly.length; i++) {
-    const j = (i + 1) % poly.length;
-    a += poly[i][0] * poly[j][1];
-    a -= poly[j][0] * poly[i][1];
+function disposeChildren(g) {
+  while (g.children.length) {
+    const o = g.children.pop();
+    o?.traverse?.(c => {
+      if (c.isMesh || c.isLine || c.isSprite) { c.geometry?.dispose(); c.material?.map?.dispose(); c.material?.dispose(); }
+    });
   }
-  return a / 2;
 }
 
-function ensureCCW(poly) {
-  return signedArea(poly) < 0 ? [...poly].reverse() : poly;
+// Preview meshes of a worker build; raised text stands on the base top
+function keychainMeshes({ parts, bounds }, { borderColor, textColor, iconColor }) {
+  const base = new THREE.Mesh(buffersToGeo(parts.body), new THREE.MeshPhongMaterial({ color: borderColor, shininess: 80 }));
+  const text = parts.text ? new THREE.Mesh(buffersToGeo(parts.text), new THREE.MeshPhongMaterial({ color: textColor, shininess: 100 })) : null;
+  if (text) text.position.z = bounds.max[2];
+  const icon = parts.icon ? new THREE.Mesh(buffersToGeo(parts.icon), new THREE.MeshPhongMaterial({ color: iconColor, shininess: 100 })) : null;
+  return { base, text, icon };
 }
 
-function polysToShapes(polys) {
-  return polys.filter(p => p && p.length >= 3).map(p =>
-    new THREE.Shape(ensureCCW(p).map(([x, y]) => new THREE.Vector2(x, y)))
-  );
+// A camera-facing text label, height mm tall
+function textSprite(text, color, height) {
+  const canvas = document.createElement("canvas"), ctx = canvas.getContext("2d");
+  ctx.font = "600 40px Montserrat, sans-serif";
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 16; canvas.height = 56;
+  ctx.font = "600 40px Montserrat, sans-serif";
+  ctx.fillStyle = color; ctx.textBaseline = "middle";
+  ctx.fillText(text, 8, 28);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+  sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+  sprite.renderOrder = 2;
+  return sprite;
 }
 
-function makeTabGeo(tabR, holeR, h, segs = 48) {
-  const s = new THREE.Shape();
-  s.absarc(0, 0, tabR, 0, Math.PI * 2, true);
-  const hole = new THREE.Path();
-  hole.absarc(0, 0, holeR, 0, Math.PI * 2, false);
-  s.holes.push(hole);
-  return new THREE.ExtrudeGeometry(s, { depth: h, bevelEnabled: false, curveSegments: segs });
+// Width and height lines with end ticks below and left of the model, plus the depth
+function dimensionLines({ w, h, d, bounds }, color) {
+  const g = new THREE.Group();
+  const [x1, y1] = bounds.min, [x2, y2] = bounds.max, off = 5, tick = 1.5;
+  const mat = new THREE.LineBasicMaterial({ color, depthTest: false });
+  const line = pts => new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts.map(([x, y]) => new THREE.Vector3(x, y, 0))), mat.clone());
+  const by = y1 - off, lx = x1 - off;
+  g.add(line([[x1, by], [x2, by], [x1, by - tick], [x1, by + tick], [x2, by - tick], [x2, by + tick]]));
+  g.add(line([[lx, y1], [lx, y2], [lx - tick, y1], [lx + tick, y1], [lx - tick, y2], [lx + tick, y2]]));
+  mat.dispose();
+  const wLabel = textSprite(`${w.toFixed(1)} mm`, color, 3.5);
+  wLabel.position.set((x1 + x2) / 2, by - 3.5, 0);
+  const hLabel = textSprite(`${h.toFixed(1)} mm`, color, 3.5);
+  hLabel.position.set(lx - hLabel.scale.x / 2 - 2, (y1 + y2) / 2, 0);
+  const dLabel = textSprite(`depth ${d.toFixed(1)} mm`, color, 3);
+  dLabel.position.set(x2 - dLabel.scale.x / 2, y2 + 4, 0);
+  g.add(wLabel, hLabel, dLabel);
+  g.traverse(o => { o.renderOrder = 2; });
+  return g;
 }
 
-function cleanGeo(geo, weld = 1e-4, eps = 1e-10) {
-  let g = mergeVertices(geo.clone(), weld);
-  const non = g.toNonIndexed(), pos = non.attributes.position, kept = [];
-  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3(),
-    ab = new THREE.Vector3(), ac = new THREE.Vector3(), cr = new THREE.Vector3();
-  for (let i = 0; i < pos.count; i += 3) {
-    a.fromBufferAttribute(pos, i);
-    b.fromBufferAttribute(pos, i + 1);
-    c.fromBufferAttribute(pos, i + 2);
-    ab.subVectors(b, a); ac.subVectors(c, a); cr.crossVectors(ab, ac);
-    if (cr.lengthSq() > eps) kept.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
-  }
-  const out = new THREE.BufferGeometry();
-  out.setAttribute("position", new THREE.BufferAttribute(new Float32Array(kept), 3));
-  let w = mergeVertices(out, weld);
-  w.computeVertexNormals();
-  w.computeBoundingBox();
-  w.computeBoundingSphere();
-  return w;
+const ISSUE_COLORS = { error: "#ef4444", warning: "#f59e0b" };
+
+// Flat overlays of the printability problem regions, drawn over the model
+function issueMeshes(issues) {
+  return issues.flatMap(issue => nestLoops(issue.regions).map(({ outer, holes }) => {
+    const shape = new THREE.Shape(outer.map(([x, y]) => new THREE.Vector2(x, y)));
+    shape.holes = holes.map(h => new THREE.Path(h.map(([x, y]) => new THREE.Vector2(x, y))));
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape),
+      new THREE.MeshBasicMaterial({ color: ISSUE_COLORS[issue.severity], transparent: true, opacity: 0.8, depthTest: false, side: THREE.DoubleSide }));
+    mesh.position.z = issue.z + 0.05;
+    mesh.renderOrder = 1;
+    return mesh;
+  }));
+}
+
+function IssueList({ issues, C }) {
+  return (
+    <div style={{ fontSize: 10, background: C.pill, borderRadius: 10, padding: "6px 10px", lineHeight: 1.5 }}>
+      {issues.map(i => (
+        <div key={i.id} style={{ display: "flex", gap: 6, marginBottom: 2 }}>
+          <span style={{ color: ISSUE_COLORS[i.severity], flexShrink: 0 }}>●</span>
+          <span style={{ color: i.severity === "error" ? "#f87171" : C.pillText }}>{i.message}</span>
+        </div>
+      ))}
+    </div>
+  );
 }
 
 function useDebounce(v, d) {
@@ -143,6 +201,51 @@ function useDebounce(v, d) {
   return dv;
 }
 
+/**
+ * Undo/redo over snapshots of state; apply(snapshot) must set every field back.
+ * Changes to the same fields in quick succession (a slider drag, typing) merge
+ * into one step. rebase(changes) makes fields about to be set part of the starting
+ * point instead, for what is restored on load.
+ */
+function useUndoHistory(state, apply, { limit = 100, mergeMs = 600 } = {}) {
+  const ref = useRef({ past: [], present: state, future: [], lastKeys: "", lastAt: 0 });
+  const [depth, setDepth] = useState([0, 0]); // past and future lengths, for the buttons
+
+  useEffect(() => {
+    const h = ref.current;
+    // after undo/redo the state comes back equal to the present snapshot
+    const keys = Object.keys(state).filter(k => state[k] !== h.present[k]).join();
+    if (!keys) return;
+    const now = Date.now();
+    if (keys !== h.lastKeys || now - h.lastAt > mergeMs) {
+      h.past.push(h.present);
+      if (h.past.length > limit) h.past.shift();
+    }
+    Object.assign(h, { present: state, future: [], lastKeys: keys, lastAt: now });
+    setDepth([h.past.length, 0]);
+  }, [state, limit, mergeMs]);
+
+  const step = useCallback((from, to) => {
+    const h = ref.current;
+    if (!h[from].length) return;
+    h[to].push(h.present);
+    h.present = h[from].pop();
+    h.lastKeys = "";
+    apply(h.present);
+    setDepth([h.past.length, h.future.length]);
+  }, [apply]);
+
+  const rebase = useCallback(changes => {
+    const h = ref.current;
+    Object.assign(h, { past: [], present: { ...h.present, ...changes }, future: [], lastKeys: "" });
+    setDepth([0, 0]);
+  }, []);
+
+  const undo = useCallback(() => step("past", "future"), [step]);
+  const redo = useCallback(() => step("future", "past"), [step]);
+  return { undo, redo, rebase, canUndo: depth[0] > 0, canRedo: depth[1] > 0 };
+}
+
 function ResetBtn({ onClick, C }) {
   const [hov, setHov] = useState(false);
   return (
@@ -230,6 +333,55 @@ function SectionHeader({ label, C }) {
   );
 }
 
+function ChoiceRow({ label, value, options, onChange, defaultValue, C }) {
+  return (
+    <div style={{ marginBottom: 14 }}>
+      <FieldLabel dirty={value !== defaultValue} onReset={() => onChange(defaultValue)} C={C}>{label}</FieldLabel>
+      <div style={{ display: "flex", gap: 4, padding: 3, borderRadius: 12, background: C.inputBg }}>
+        {options.map(o => (
+          <button key={String(o.value)} onClick={() => onChange(o.value)} title={o.title}
+            style={{ flex: 1, padding: "6px 0", borderRadius: 9, border: "none", cursor: "pointer", fontFamily: "inherit", fontSize: 11, fontWeight: 600, transition: "all 0.15s", background: value === o.value ? `linear-gradient(135deg,${C.accent},${C.accent2})` : "none", color: value === o.value ? "#fff" : C.muted }}>
+            {o.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Adjacent character pairs of the text, each once, that kerning can adjust
+function kerningPairs(text) {
+  const pairs = text.split("\n").flatMap(l => {
+    const cs = Array.from(l);
+    return cs.slice(1).map((c, i) => cs[i] + c);
+  });
+  return [...new Set(pairs.filter(pair => !/\s/u.test(pair)))];
+}
+
+// Pick a letter pair, then nudge the space between its two letters
+function KerningRow({ pairs, kerning, onChange, C }) {
+  const [picked, setPicked] = useState(null);
+  const pair = pairs.includes(picked) ? picked : pairs[0];
+  const setPair = v => {
+    const { [pair]: _old, ...rest } = kerning;
+    onChange(v === 0 ? rest : { ...rest, [pair]: v });
+  };
+  return (
+    <div>
+      <FieldLabel dirty={Object.keys(kerning).length > 0} onReset={() => onChange({})} C={C}>Kerning</FieldLabel>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 8 }}>
+        {pairs.map(pr => (
+          <button key={pr} onClick={() => setPicked(pr)} title={kerning[pr] ? `${kerning[pr] > 0 ? "+" : ""}${kerning[pr]} mm` : "Not adjusted"}
+            style={{ fontSize: 11, fontWeight: 600, fontFamily: "'DM Mono',monospace", border: "none", borderRadius: 8, padding: "3px 8px", cursor: "pointer", background: pr === pair ? `linear-gradient(135deg,${C.accent},${C.accent2})` : C.pill, color: pr === pair ? "#fff" : kerning[pr] ? C.accent : C.muted }}>
+            {pr}
+          </button>
+        ))}
+      </div>
+      <SliderRow label={`Between ${pair}`} value={kerning[pair] ?? 0} min={-5} max={5} step={0.1} onChange={setPair} defaultValue={0} C={C} />
+    </div>
+  );
+}
+
 function ColorRow({ label, value, defaultValue, onChange, C, tooltip }) {
   const dirty = value !== defaultValue;
   return (
@@ -250,8 +402,13 @@ function ColorRow({ label, value, defaultValue, onChange, C, tooltip }) {
   );
 }
 
-function ExportModal({ defaultName, format, onConfirm, onCancel, C }) {
+function ExportModal({ defaultName, format, colorChangeZ, issues = [], onConfirm, onCancel, C }) {
   const [val, setVal] = useState(defaultName);
+  const [ascii, setAscii] = useState(false);
+  const [split, setSplit] = useState(false);
+  // engraved and cut-through text has no separate text body, hence no color change
+  const twoParts = colorChangeZ != null;
+  const confirm = () => val.trim() && onConfirm(safeFilename(val), { ascii, split });
   const ref = useRef();
   useEffect(() => { setTimeout(() => ref.current?.select(), 50); }, []);
 
@@ -260,17 +417,44 @@ function ExportModal({ defaultName, format, onConfirm, onCancel, C }) {
       <div style={{ background: C.surface, borderRadius: 18, padding: "28px 24px 22px", width: 340, boxShadow: `0 20px 60px rgba(0,0,0,0.35)`, border: `1.5px solid ${C.border}` }}>
         <div style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 6 }}>Name your {format} export</div>
         <div style={{ fontSize: 11, color: C.muted, marginBottom: 16, lineHeight: 1.5 }}>
-          {format === "OBJ" ? <>Both <code>.obj</code> and <code>.mtl</code> will use this name so they always match.</> : "Your file will be saved with this name."}
+          {format === "OBJ" ? <>Both <code>.obj</code> and <code>.mtl</code> will use this name so they always match.</>
+            : format === "3MF" ? (twoParts ? "Base and text are saved as separate colored parts, ready for multi-material slicing." : "The keychain is saved as one colored part.")
+            : "Your file will be saved with this name."}
         </div>
-        <input ref={ref} value={val} onChange={e => setVal(e.target.value.replace(/[^a-zA-Z0-9 _-]/g, ""))}
-          onKeyDown={e => { if (e.key === "Enter" && val.trim()) onConfirm(val.trim()); if (e.key === "Escape") onCancel(); }}
+        {issues.length > 0 && (
+          <div style={{ marginBottom: 16 }}>
+            <div style={{ fontSize: 11, fontWeight: 700, color: issues.some(i => i.severity === "error") ? "#f87171" : C.pillText, marginBottom: 6 }}>
+              Check before printing ({issues.length} {issues.length === 1 ? "problem" : "problems"}, marked in the preview)
+            </div>
+            <IssueList issues={issues} C={C} />
+          </div>
+        )}
+        <input ref={ref} value={val} onChange={e => setVal(filenameChars(e.target.value))}
+          onKeyDown={e => { if (e.key === "Enter") confirm(); if (e.key === "Escape") onCancel(); }}
           maxLength={48}
           style={{ width: "100%", padding: "10px 13px", background: C.inputBg, border: "none", borderRadius: 11, color: C.text, fontSize: 14, fontFamily: "inherit", outline: "none", marginBottom: 18 }} />
+        {format === "STL" && (
+          <div style={{ marginTop: -8, marginBottom: 18 }}>
+            {twoParts && <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: C.muted, marginBottom: 8, cursor: "pointer" }}>
+              <input type="checkbox" checked={split} onChange={e => setSplit(e.target.checked)} style={{ accentColor: C.accent }} />
+              Separate base and text bodies (zip)
+            </label>}
+            {twoParts && split && (
+              <div style={{ fontSize: 11, color: C.pillText, background: C.pill, borderRadius: 10, padding: "7px 10px", marginBottom: 8, lineHeight: 1.5 }}>
+                Color change at <b>Z = {colorChangeZ.toFixed(2)} mm</b> — the first layer above the base.
+              </div>
+            )}
+            <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: C.muted, cursor: "pointer" }}>
+              <input type="checkbox" checked={ascii} onChange={e => setAscii(e.target.checked)} style={{ accentColor: C.accent }} />
+              ASCII STL (larger file, for older tools)
+            </label>
+          </div>
+        )}
         <div style={{ display: "flex", gap: 10 }}>
           <button onClick={onCancel} style={{ flex: 1, padding: "10px 0", borderRadius: 11, border: `1.5px solid ${C.border}`, background: "none", color: C.muted, fontSize: 13, cursor: "pointer", fontFamily: "inherit" }}>Cancel</button>
-          <button onClick={() => val.trim() && onConfirm(val.trim())} disabled={!val.trim()}
+          <button onClick={confirm} disabled={!val.trim()}
             style={{ flex: 2, padding: "10px 0", borderRadius: 11, border: "none", background: `linear-gradient(135deg,${C.accent},${C.accent2})`, color: "#fff", fontSize: 13, fontWeight: 700, cursor: val.trim() ? "pointer" : "not-allowed", fontFamily: "inherit", opacity: val.trim() ? 1 : 0.5, boxShadow: `0 4px 16px ${C.shadow}` }}>
-            Download {format}
+            {issues.some(i => i.severity === "error") ? "Download anyway" : `Download ${format}`}
           </button>
         </div>
       </div>
@@ -278,6 +462,239 @@ function ExportModal({ defaultName, format, onConfirm, onCancel, C }) {
   );
 }
 
+function BatchModal({ fonts, onRun, onClose, C }) {
+  const [source, setSource] = useState("");
+  const [format, setFormat] = useState("STL");
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState([0, 0]);
+  const [result, setResult] = useState(null);
+  const cancelledRef = useRef(false);
+  const fileRef = useRef(null);
+  const parsed = useMemo(() => parseBatch(source, fonts, { maxLines: MAX_LINES, maxLineChars: MAX_LINE_CHARS }), [source, fonts]);
+
+  const start = async () => {
+    cancelledRef.current = false;
+    setRunning(true); setResult(null); setProgress([0, parsed.entries.length]);
+    try {
+      setResult(await onRun({ entries: parsed.entries, rejected: parsed.errors, format, onProgress: (d, t) => setProgress([d, t]), isCancelled: () => cancelledRef.current }));
+    } catch (e) { setResult({ built: 0, failures: [{ line: 0, name: "", reason: e.message }], warnings: [] }); }
+    setRunning(false);
+  };
+  const [done, total] = progress;
+  const problems = result ? [...result.failures, ...result.warnings].sort((a, b) => a.line - b.line) : parsed.errors;
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", backdropFilter: "blur(6px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
+      <div style={{ background: C.surface, borderRadius: 18, padding: "28px 24px 22px", width: 400, maxHeight: "90vh", overflowY: "auto", boxShadow: `0 20px 60px rgba(0,0,0,0.35)`, border: `1.5px solid ${C.border}` }}>
+        <div style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 6 }}>Batch export</div>
+        <div style={{ fontSize: 11, color: C.muted, marginBottom: 12, lineHeight: 1.5 }}>
+          One name per line, or a CSV with a <code>name</code> column and optional <code>font</code>, <code>text_color</code> and <code>border_color</code>. Every keychain uses the current settings.
+        </div>
+        <textarea value={source} onChange={e => setSource(e.target.value)} disabled={running} rows={8} placeholder={"Ana\nBen\nChloé"}
+          style={{ width: "100%", padding: "10px 13px", background: C.inputBg, border: "none", borderRadius: 11, color: C.text, fontSize: 12, fontFamily: "'DM Mono',monospace", outline: "none", resize: "vertical", marginBottom: 8 }} />
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 14 }}>
+          <button onClick={() => fileRef.current?.click()} disabled={running}
+            style={{ fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" }}>
+            Load CSV
+          </button>
+          <span style={{ fontSize: 10, color: C.muted }}>{parsed.entries.length} ready{parsed.errors.length ? ` · ${parsed.errors.length} skipped` : ""}</span>
+          <input ref={fileRef} type="file" accept=".csv,.txt,text/csv,text/plain" style={{ display: "none" }}
+            onChange={async e => { const f = e.target.files[0]; e.target.value = ""; if (f) setSource(await f.text()); }} />
+        </div>
+        <ChoiceRow label="Format" value={format} onChange={setFormat} defaultValue="STL" C={C}
+          options={[{ value: "STL", label: "STL", title: "One body per keychain" }, { value: "3MF", label: "3MF", title: "Colored parts per keychain" }]} />
+        {(running || result) && (
+          <div style={{ marginBottom: 12 }}>
+            <div style={{ height: 6, borderRadius: 4, background: C.trackBg, overflow: "hidden" }}>
+              <div style={{ width: `${total ? (done / total) * 100 : 0}%`, height: "100%", background: `linear-gradient(90deg,${C.accent},${C.accent2})`, transition: "width 0.2s" }} />
+            </div>
+            <div style={{ fontSize: 10, color: C.muted, marginTop: 4 }}>
+              {running ? `Building ${Math.min(done + 1, total)} of ${total}…` : `Built ${result.built} of ${total}${result.built ? " · zip downloaded" : ""}`}
+            </div>
+          </div>
+        )}
+        {problems.length > 0 && (
+          <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginBottom: 12, lineHeight: 1.5, maxHeight: 120, overflowY: "auto" }}>
+            {problems.map((p, i) => <div key={i}>{p.line ? `Line ${p.line}: ` : ""}{p.name && <b>{p.name}</b>} {p.reason}</div>)}
+          </div>
+        )}
+        <div style={{ display: "flex", gap: 10 }}>
+          <button onClick={running ? () => { cancelledRef.current = true; } : onClose}
+            style={{ flex: 1, padding: "10px 0", borderRadius: 11, border: `1.5px solid ${C.border}`, background: "none", color: C.muted, fontSize: 13, cursor: "pointer", fontFamily: "inherit" }}>
+            {running ? "Stop" : "Close"}
+          </button>
+          <button onClick={start} disabled={running || !parsed.entries.length}
+            style={{ flex: 2, padding: "10px 0", borderRadius: 11, border: "none", background: `linear-gradient(135deg,${C.accent},${C.accent2})`, color: "#fff", fontSize: 13, fontWeight: 700, cursor: running || !parsed.entries.length ? "not-allowed" : "pointer", fontFamily: "inherit", opacity: running || !parsed.entries.length ? 0.5 : 1, boxShadow: `0 4px 16px ${C.shadow}` }}>
+            Generate {parsed.entries.length || ""} {format}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One saved preset or design: rename in place, duplicate, delete
+function LibraryItem({ item, onOpen, onRename, onDuplicate, onDelete, C }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(item.name);
+  const commit = () => { setEditing(false); if (draft.trim() && draft.trim() !== item.name) onRename(draft.trim()); };
+  const small = { fontSize: 10, color: C.muted, background: "none", border: `1px solid ${C.border}`, borderRadius: 8, padding: "2px 7px", cursor: "pointer", fontFamily: "inherit" };
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, padding: 6, borderRadius: 12, background: C.inputBg, marginBottom: 6 }}>
+      {item.thumbnail !== undefined && (
+        <img src={item.thumbnail} alt="" onClick={onOpen} title="Load this design"
+          style={{ width: 64, height: 48, objectFit: "cover", borderRadius: 8, background: C.trackBg, cursor: "pointer", flexShrink: 0 }} />
+      )}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        {editing ? (
+          <input autoFocus value={draft} maxLength={48} onChange={e => setDraft(e.target.value)} onBlur={commit}
+            onKeyDown={e => { if (e.key === "Enter") commit(); if (e.key === "Escape") { setDraft(item.name); setEditing(false); } }}
+            style={{ width: "100%", fontSize: 12, padding: "3px 6px", background: C.surface, border: "none", borderRadius: 6, color: C.text, fontFamily: "inherit", outline: "none" }} />
+        ) : (
+          <div onClick={onOpen} title={item.thumbnail !== undefined ? "Load this design" : "Apply this preset"}
+            style={{ fontSize: 12, fontWeight: 600, color: C.text, cursor: "pointer", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            {item.name}
+          </div>
+        )}
+        <div style={{ display: "flex", gap: 4, marginTop: 4 }}>
+          {!item.builtIn && <button onClick={() => { setDraft(item.name); setEditing(true); }} style={small}>Rename</button>}
+          <button onClick={onDuplicate} style={small}>Duplicate</button>
+          {!item.builtIn && <button onClick={onDelete} style={small}>Delete</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function LibraryModal({ presets, designs, onApplyPreset, onLoadDesign, onSave, onRename, onDuplicate, onDelete, onClose, C }) {
+  const [tab, setTab] = useState("designs");
+  const [newName, setNewName] = useState("");
+  const items = tab === "designs" ? designs : [...BUILT_IN_PRESETS, ...presets];
+  const save = () => { if (newName.trim()) { onSave(tab, newName.trim()); setNewName(""); } };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", backdropFilter: "blur(6px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
+      <div style={{ background: C.surface, borderRadius: 18, padding: "28px 24px 22px", width: 400, maxHeight: "90vh", display: "flex", flexDirection: "column", boxShadow: `0 20px 60px rgba(0,0,0,0.35)`, border: `1.5px solid ${C.border}` }}>
+        <div style={{ fontSize: 15, fontWeight: 700, color: C.text, marginBottom: 6 }}>Library</div>
+        <div style={{ fontSize: 11, color: C.muted, marginBottom: 12, lineHeight: 1.5 }}>
+          {tab === "designs" ? "Whole designs with their name, font and icon, saved on this device." : "Dimensions and colors only; applying one keeps your name, font and icon."}
+        </div>
+        <ChoiceRow label="Show" value={tab} onChange={setTab} defaultValue="designs" C={C}
+          options={[{ value: "designs", label: `Designs (${designs.length})` }, { value: "presets", label: "Presets" }]} />
+        <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+          <input value={newName} onChange={e => setNewName(e.target.value)} maxLength={48} onKeyDown={e => { if (e.key === "Enter") save(); }}
+            placeholder={tab === "designs" ? "Name this design…" : "e.g. small bag tag"}
+            style={{ flex: 1, padding: "8px 12px", background: C.inputBg, border: "none", borderRadius: 11, color: C.text, fontSize: 12, fontFamily: "inherit", outline: "none" }} />
+          <button onClick={save} disabled={!newName.trim()}
+            style={{ fontSize: 11, fontWeight: 700, color: "#fff", background: `linear-gradient(135deg,${C.accent},${C.accent2})`, border: "none", borderRadius: 11, padding: "0 12px", cursor: newName.trim() ? "pointer" : "not-allowed", opacity: newName.trim() ? 1 : 0.5, fontFamily: "inherit" }}>
+            Save current
+          </button>
+        </div>
+        <div style={{ flex: 1, minHeight: 0, overflowY: "auto", marginBottom: 12 }}>
+          {!items.length && <div style={{ fontSize: 11, color: C.muted, textAlign: "center", padding: "16px 0" }}>Nothing saved yet.</div>}
+          {items.map(item => (
+            <LibraryItem key={item.id} item={item} C={C}
+              onOpen={() => tab === "designs" ? onLoadDesign(item) : onApplyPreset(item)}
+              onRename={name => onRename(tab, item, name)}
+              onDuplicate={() => onDuplicate(tab, item)}
+              onDelete={() => onDelete(tab, item)} />
+          ))}
+        </div>
+        <button onClick={onClose}
+          style={{ padding: "10px 0", borderRadius: 11, border: `1.5px solid ${C.border}`, background: "none", color: C.muted, fontSize: 13, cursor: "pointer", fontFamily: "inherit" }}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function PlatePanel({ fonts, bed, onBed, onArrange, onExport, layout, C }) {
+  const [source, setSource] = useState("copies");
+  const [copies, setCopies] = useState(6);
+  const [names, setNames] = useState("");
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState([0, 0]);
+  const [problems, setProblems] = useState([]);
+  const [exportError, setExportError] = useState(null);
+  const cancelledRef = useRef(false);
+  const parsed = useMemo(() => parseBatch(names, fonts, { maxLines: MAX_LINES, maxLineChars: MAX_LINE_CHARS }), [names, fonts]);
+  const preset = BED_PRESETS.find(b => b.width === bed.width && b.height === bed.height)?.value ?? "custom";
+  const count = source === "copies" ? copies : parsed.entries.length;
+
+  const start = async () => {
+    cancelledRef.current = false;
+    setRunning(true); setExportError(null); setProgress([0, count]);
+    try {
+      const failures = await onArrange({ source, copies, entries: parsed.entries, onProgress: (d, t) => setProgress([d, t]), isCancelled: () => cancelledRef.current });
+      setProblems([...parsed.errors, ...failures].sort((a, b) => a.line - b.line));
+    } catch (e) { setProblems([{ line: 0, name: "", reason: e.message }]); }
+    setRunning(false);
+  };
+  const save = format => {
+    setExportError(null);
+    try { onExport(format); } catch (e) { console.error(e); setExportError(e.message); }
+  };
+  const [done, total] = progress;
+  const pill = { fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" };
+
+  return (
+    <div style={{ position: "absolute", top: 52, left: 12, width: 260, maxHeight: "calc(100% - 64px)", overflowY: "auto", background: C.surface, borderRadius: 16, padding: "14px 16px", border: `1.5px solid ${C.border}`, boxShadow: `0 10px 30px ${C.shadow}` }}>
+      <FieldLabel dirty={preset !== "220x220"} onReset={() => onBed({ ...bed, width: 220, height: 220 })} C={C}>Bed</FieldLabel>
+      <div style={{ position: "relative", marginBottom: 14 }}>
+        <select value={preset} onChange={e => { const b = BED_PRESETS.find(p => p.value === e.target.value); if (b) onBed({ ...bed, width: b.width, height: b.height }); }}
+          style={{ width: "100%", padding: "8px 12px", paddingRight: 32, background: C.inputBg, border: "none", borderRadius: 12, color: C.text, fontFamily: "inherit", fontSize: 12, outline: "none", cursor: "pointer" }}>
+          {BED_PRESETS.map(b => <option key={b.value} value={b.value}>{b.label} mm</option>)}
+          <option value="custom">Custom</option>
+        </select>
+        <span style={{ position: "absolute", right: 12, top: "50%", transform: "translateY(-50%)", pointerEvents: "none", fontSize: 10, color: C.muted }}>▾</span>
+      </div>
+      {preset === "custom" && <>
+        <SliderRow label="Bed Width" value={bed.width} min={80} max={500} step={1} onChange={v => onBed({ ...bed, width: v })} defaultValue={220} C={C} />
+        <SliderRow label="Bed Depth" value={bed.height} min={80} max={500} step={1} onChange={v => onBed({ ...bed, height: v })} defaultValue={220} C={C} />
+      </>}
+      <SliderRow label="Spacing" value={bed.spacing} min={1} max={20} step={0.5} onChange={v => onBed({ ...bed, spacing: v })} defaultValue={5} C={C} />
+      <ChoiceRow label="Fill With" value={source} onChange={setSource} defaultValue="copies" C={C}
+        options={[{ value: "copies", label: "Copies", title: "Copies of the current design" }, { value: "names", label: "Names", title: "One keychain per name, like batch export" }]} />
+      {source === "copies"
+        ? <SliderRow label="Copies" value={copies} min={1} max={60} step={1} unit="" onChange={setCopies} defaultValue={6} C={C} />
+        : <>
+          <textarea value={names} onChange={e => setNames(e.target.value)} disabled={running} rows={5} placeholder={"Ana\nBen\nChloé"}
+            style={{ width: "100%", padding: "8px 12px", background: C.inputBg, border: "none", borderRadius: 11, color: C.text, fontSize: 12, fontFamily: "'DM Mono',monospace", outline: "none", resize: "vertical", marginBottom: 4 }} />
+          <div style={{ fontSize: 10, color: C.muted, marginBottom: 12 }}>
+            One per line, or CSV as in batch export · {parsed.entries.length} ready{parsed.errors.length ? ` · ${parsed.errors.length} skipped` : ""}
+          </div>
+        </>}
+      <button onClick={running ? () => { cancelledRef.current = true; } : start} disabled={!running && !count}
+        style={{ width: "100%", padding: "9px 0", borderRadius: 11, border: "none", background: `linear-gradient(135deg,${C.accent},${C.accent2})`, color: "#fff", fontSize: 12, fontWeight: 700, cursor: running || count ? "pointer" : "not-allowed", fontFamily: "inherit", opacity: running || count ? 1 : 0.5, marginBottom: 10 }}>
+        {running ? `Stop (${Math.min(done + 1, total)} of ${total})` : `Arrange ${count || ""} on the plate`}
+      </button>
+      {layout && !running && (
+        <div style={{ fontSize: 10, color: C.muted, marginBottom: 8 }}>
+          {layout.placed.length} of {layout.placed.length + layout.overflow.length} fit on the bed
+        </div>
+      )}
+      {layout?.overflow.length > 0 && !running && (
+        <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginBottom: 10, lineHeight: 1.5 }}>
+          Doesn&apos;t fit: {layout.overflow.map(o => o.name.replace(/\n/g, " / ")).join(", ")}. Use a larger bed, less spacing or fewer keychains.
+        </div>
+      )}
+      {problems.length > 0 && !running && (
+        <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginBottom: 10, lineHeight: 1.5, maxHeight: 100, overflowY: "auto" }}>
+          {problems.map((p, i) => <div key={i}>{p.line ? `Line ${p.line}: ` : ""}{p.name && <b>{p.name}</b>} {p.reason}</div>)}
+        </div>
+      )}
+      {layout?.placed.length > 0 && !running && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <button onClick={() => save("STL")} title="Every keychain in one mesh" style={pill}>Export plate STL</button>
+          <button onClick={() => save("3MF")} title="One colored object per keychain" style={pill}>Export plate 3MF</button>
+        </div>
+      )}
+      {exportError && <div style={{ fontSize: 10, color: "#f87171", marginTop: 8, lineHeight: 1.5 }}>{exportError}</div>}
+    </div>
+  );
+}
+
 export default function App() {
   const [darkMode, setDarkMode] = useState(() => window.matchMedia?.("(prefers-color-scheme: dark)").matches ?? false);
   useEffect(() => {
@@ -294,25 +711,75 @@ export default function App() {
   const [textHeight, setTextHeight] = useState(DEFAULTS.textHeight);
   const [borderHeight, setBorderHeight] = useState(DEFAULTS.borderHeight);
   const [borderOffset, setBorderOffset] = useState(DEFAULTS.borderOffset);
+  const [baseShape, setBaseShape] = useState(DEFAULTS.baseShape);
+  const [cornerRadius, setCornerRadius] = useState(DEFAULTS.cornerRadius);
+  const [svgOutline, setSvgOutline] = useState(null); // { name, loops } from an uploaded SVG
+  const [svgError, setSvgError] = useState(null);
   const [gap, setGap] = useState(DEFAULTS.gap);
   const [tabDiameter, setTabDiameter] = useState(DEFAULTS.tabDiameter);
   const [holeDiameter, setHoleDiameter] = useState(DEFAULTS.holeDiameter);
-  const [tabYOffset, setTabYOffset] = useState(DEFAULTS.tabYOffset);
+  const [tabAngle, setTabAngle] = useState(DEFAULTS.tabAngle);
+  const [secondTab, setSecondTab] = useState(DEFAULTS.secondTab);
+  const [secondTabAngle, setSecondTabAngle] = useState(DEFAULTS.secondTabAngle);
+  const [filletRadius, setFilletRadius] = useState(DEFAULTS.filletRadius);
+  const [textAlign, setTextAlign] = useState(DEFAULTS.textAlign);
+  const [lineSpacing, setLineSpacing] = useState(DEFAULTS.lineSpacing);
+  const [letterSpacing, setLetterSpacing] = useState(DEFAULTS.letterSpacing);
+  const [kerning, setKerning] = useState(DEFAULTS.kerning);
+  const [arc, setArc] = useState(DEFAULTS.arc);
+  const [arcRadius, setArcRadius] = useState(DEFAULTS.arcRadius);
+  const [textStyle, setTextStyle] = useState(DEFAULTS.textStyle);
+  const [strokeWidth, setStrokeWidth] = useState(DEFAULTS.strokeWidth);
+  const [textMode, setTextMode] = useState(DEFAULTS.textMode);
+  const [engraveDepth, setEngraveDepth] = useState(DEFAULTS.engraveDepth);
+  const [edgeProfile, setEdgeProfile] = useState(DEFAULTS.edgeProfile);
+  const [textEdge, setTextEdge] = useState(DEFAULTS.textEdge);
+  const [baseTopEdge, setBaseTopEdge] = useState(DEFAULTS.baseTopEdge);
+  const [baseBottomEdge, setBaseBottomEdge] = useState(DEFAULTS.baseBottomEdge);
+  const [icon, setIcon] = useState(null); // { name, loops } from an uploaded SVG
+  const [iconError, setIconError] = useState(null);
+  const [iconSide, setIconSide] = useState(DEFAULTS.iconSide);
+  const [iconSize, setIconSize] = useState(DEFAULTS.iconSize);
+  const [iconRotation, setIconRotation] = useState(DEFAULTS.iconRotation);
+  const [iconX, setIconX] = useState(DEFAULTS.iconX);
+  const [iconY, setIconY] = useState(DEFAULTS.iconY);
+  const [iconColorMode, setIconColorMode] = useState(DEFAULTS.iconColorMode);
+  const [iconColor, setIconColor] = useState(DEFAULTS.iconColor);
   const [borderColor, setBorderColor] = useState(DEFAULTS.borderColor);
   const [textColor, setTextColor] = useState(DEFAULTS.textColor);
   const colorsLoadedRef = useRef(false);
-  const [fontsReady, setFontsReady] = useState(false);
-  const [status, setStatus] = useState("loading");
+  const [fontStatus, setFontStatus] = useState({}); // key -> "loading" | "ready" | "error"
+  const [status, setStatus] = useState("ready");
   const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [library, setLibrary] = useState({ presets: [], designs: [] });
+  const [designNote, setDesignNote] = useState(null); // { error?, text } about links and design files
+  const [plateOpen, setPlateOpen] = useState(false);
+  const [plateBed, setPlateBed] = useState({ width: 220, height: 220, spacing: 5 });
+  const [plateBuilds, setPlateBuilds] = useState(null); // [{ name, msg, colors }] from the last arrange
   const [exportModal, setExportModal] = useState(null);
+  const [missingGlyphs, setMissingGlyphs] = useState([]);
+  const [loosePieces, setLoosePieces] = useState(0);
+  const [basePieces, setBasePieces] = useState(1);
+  const [nozzle, setNozzle] = useState(DEFAULT_NOZZLE);
+  const [printIssues, setPrintIssues] = useState([]);
+  const [material, setMaterial] = useState("PLA");
+  const [infill, setInfill] = useState(15);
+  const [shown, setShown] = useState(null); // { outline, w, h, d, bounds } of the model on screen
+  const [showDims, setShowDims] = useState(false);
+  const printerLoadedRef = useRef(false);
+  const [customFonts, setCustomFonts] = useState([]);
+  const [customFontsLoaded, setCustomFontsLoaded] = useState(false);
+  const [fontError, setFontError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fontInputRef = useRef(null);
+  const svgInputRef = useRef(null);
+  const iconInputRef = useRef(null);
+  const designInputRef = useRef(null);
+  const customBuffersRef = useRef({});
 
-  useEffect(() => {
-    readSavedColors().then(s => {
-      if (s?.borderColor) setBorderColor(s.borderColor);
-      if (s?.textColor) setTextColor(s.textColor);
-      colorsLoadedRef.current = true;
-    });
-  }, []);
 
   useEffect(() => {
     if (colorsLoadedRef.current) persistColors(borderColor, textColor);
@@ -326,34 +793,218 @@ export default function App() {
   const dGap = useDebounce(gap, 80);
   const dTabD = useDebounce(tabDiameter, 80);
   const dHoleD = useDebounce(holeDiameter, 80);
-  const dTabY = useDebounce(tabYOffset, 80);
-
-  const safeName = useMemo(() => dName.replace(/[^a-zA-Z0-9 _-]/g, "").slice(0, 20), [dName]);
-  const suggestedName = `${safeName}_${font.split(":")[0]}`;
-
-  const anyDirty = useMemo(() => {
-    const v = { name, font, textCapHeight, textHeight, borderHeight, borderOffset, gap, tabDiameter, holeDiameter, tabYOffset, borderColor, textColor };
-    return Object.keys(DEFAULTS).some(k => v[k] !== DEFAULTS[k]);
-  }, [name, font, textCapHeight, textHeight, borderHeight, borderOffset, gap, tabDiameter, holeDiameter, tabYOffset, borderColor, textColor]);
-
-  const resetAll = useCallback(() => {
-    setName(DEFAULTS.name); setFont(DEFAULTS.font); setTextCapHeight(DEFAULTS.textCapHeight);
-    setTextHeight(DEFAULTS.textHeight); setBorderHeight(DEFAULTS.borderHeight);
-    setBorderOffset(DEFAULTS.borderOffset); setGap(DEFAULTS.gap);
-    setTabDiameter(DEFAULTS.tabDiameter); setHoleDiameter(DEFAULTS.holeDiameter);
-    setTabYOffset(DEFAULTS.tabYOffset); setBorderColor(DEFAULTS.borderColor); setTextColor(DEFAULTS.textColor);
+  const dTabAngle = useDebounce(tabAngle, 80);
+  const dSecondTabAngle = useDebounce(secondTabAngle, 80);
+  const dFillet = useDebounce(filletRadius, 80);
+  const dCornerRadius = useDebounce(cornerRadius, 80);
+  const dIconSize = useDebounce(iconSize, 80);
+  const dIconRotation = useDebounce(iconRotation, 80);
+  const dIconX = useDebounce(iconX, 80);
+  const dIconY = useDebounce(iconY, 80);
+  const dLineSpacing = useDebounce(lineSpacing, 80);
+  const dLetterSpacing = useDebounce(letterSpacing, 80);
+  const dKerning = useDebounce(kerning, 80);
+  const dArcRadius = useDebounce(arcRadius, 80);
+  const dStrokeWidth = useDebounce(strokeWidth, 80);
+  const dEngraveDepth = useDebounce(engraveDepth, 80);
+  const dTextEdge = useDebounce(textEdge, 80);
+  const dBaseTopEdge = useDebounce(baseTopEdge, 80);
+  const dBaseBottomEdge = useDebounce(baseBottomEdge, 80);
+
+  const safeName = useMemo(() => normalizeText(dName, MAX_LINES, MAX_LINE_CHARS), [dName]);
+  const fontReady = fontStatus[font] === "ready";
+  const suggestedName = safeFilename(`${safeName.split("\n").filter(l => l.trim()).join("_")}_${font.split(":")[0]}`);
+  const lineCount = name.split("\n").length;
+  const kernPairs = useMemo(() => kerningPairs(safeName), [safeName]);
+  const longestLine = Math.max(...name.split("\n").map(l => Array.from(l).length));
+
+  // The whole design as saved in links and design files
+  const design = useMemo(() => ({
+    name, font, textCapHeight, textHeight, borderHeight, borderOffset, baseShape, cornerRadius, gap, tabDiameter, holeDiameter, tabAngle, secondTab, secondTabAngle, filletRadius, textAlign, lineSpacing, letterSpacing, kerning, arc, arcRadius, textStyle, strokeWidth, textMode, engraveDepth, edgeProfile, textEdge, baseTopEdge, baseBottomEdge, iconSide, iconSize, iconRotation, iconX, iconY, iconColorMode, iconColor, borderColor, textColor,
+    svgOutline, icon,
+  }), [name, font, textCapHeight, textHeight, borderHeight, borderOffset, baseShape, cornerRadius, gap, tabDiameter, holeDiameter, tabAngle, secondTab, secondTabAngle, filletRadius, textAlign, lineSpacing, letterSpacing, kerning, arc, arcRadius, textStyle, strokeWidth, textMode, engraveDepth, edgeProfile, textEdge, baseTopEdge, baseBottomEdge, iconSide, iconSize, iconRotation, iconX, iconY, iconColorMode, iconColor, borderColor, textColor, svgOutline, icon]);
+
+  // kerning is a map: any empty one is the default, not just DEFAULTS' own object
+  const anyDirty = Object.keys(DEFAULTS).some(k => k === "kerning" ? Object.keys(design.kerning).length > 0 : design[k] !== DEFAULTS[k]);
+
+  // Sets every setting d holds; uploaded outlines only when it names them
+  const applyDesign = useCallback((d) => {
+    setName(clampName(d.name)); setFont(d.font); setTextCapHeight(d.textCapHeight);
+    setTextHeight(d.textHeight); setBorderHeight(d.borderHeight);
+    setBorderOffset(d.borderOffset); setGap(d.gap);
+    setBaseShape(d.baseShape); setCornerRadius(d.cornerRadius);
+    setTabDiameter(d.tabDiameter); setHoleDiameter(d.holeDiameter);
+    setTabAngle(d.tabAngle); setSecondTab(d.secondTab); setSecondTabAngle(d.secondTabAngle);
+    setFilletRadius(d.filletRadius);
+    setTextAlign(d.textAlign); setLineSpacing(d.lineSpacing);
+    setLetterSpacing(d.letterSpacing); setKerning(d.kerning);
+    setArc(d.arc); setArcRadius(d.arcRadius);
+    setTextStyle(d.textStyle); setStrokeWidth(d.strokeWidth);
+    setTextMode(d.textMode); setEngraveDepth(d.engraveDepth);
+    setEdgeProfile(d.edgeProfile); setTextEdge(d.textEdge);
+    setBaseTopEdge(d.baseTopEdge); setBaseBottomEdge(d.baseBottomEdge);
+    setIconSide(d.iconSide); setIconSize(d.iconSize); setIconRotation(d.iconRotation);
+    setIconX(d.iconX); setIconY(d.iconY);
+    setIconColorMode(d.iconColorMode); setIconColor(d.iconColor);
+    setBorderColor(d.borderColor); setTextColor(d.textColor);
+    if ("svgOutline" in d) { setSvgOutline(d.svgOutline); setSvgError(null); }
+    if ("icon" in d) { setIcon(d.icon); setIconError(null); }
   }, []);
 
+  const resetAll = useCallback(() => applyDesign(DEFAULTS), [applyDesign]);
+
+  const { undo, redo, rebase, canUndo, canRedo } = useUndoHistory(design, applyDesign);
+
+  // Text fields keep their own undo; everywhere else the shortcuts step the design
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const k = e.key.toLowerCase(), t = e.target;
+      if (k !== "z" && k !== "y") return;
+      if (t.tagName === "TEXTAREA" || t.isContentEditable || (t.tagName === "INPUT" && !["range", "color", "checkbox", "radio", "button"].includes(t.type))) return;
+      e.preventDefault();
+      if (k === "y" || e.shiftKey) redo(); else undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
+
+  // A loaded design replaces everything; settings it lacks go back to their defaults.
+  // With initial set it is where the history starts rather than a step to undo.
+  const loadDesign = useCallback((settings, { initial = false } = {}) => {
+    const d = { ...DEFAULTS, svgOutline: null, icon: null, ...settings };
+    // the name as applyDesign will set it, so the baseline matches the state
+    if (initial) rebase({ ...d, name: clampName(d.name) });
+    applyDesign(d);
+  }, [applyDesign, rebase]);
+
+  // A design in the URL wins over the saved colors
+  useEffect(() => {
+    const fromHash = initial => {
+      try {
+        const settings = designFromHash(window.location.hash);
+        if (!settings) return false;
+        loadDesign(settings, { initial });
+        return true;
+      } catch (e) { setDesignNote({ error: true, text: e.message }); return false; }
+    };
+    if (fromHash(true)) colorsLoadedRef.current = true;
+    else {
+      readSavedColors().then(s => {
+        const saved = {};
+        if (s?.borderColor) saved.borderColor = s.borderColor;
+        if (s?.textColor) saved.textColor = s.textColor;
+        rebase(saved);
+        if (saved.borderColor) setBorderColor(saved.borderColor);
+        if (saved.textColor) setTextColor(saved.textColor);
+        colorsLoadedRef.current = true;
+      });
+    }
+    const onHashChange = () => fromHash(false);
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [loadDesign, rebase]);
+
+  // The URL always carries the current design, so it can be shared as is
+  useEffect(() => {
+    const t = setTimeout(() => {
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, "", anyDirty || svgOutline || icon ? `${pathname}${search}#${designToHash(design)}` : `${pathname}${search}`);
+    }, 400);
+    return () => clearTimeout(t);
+  }, [design, anyDirty, svgOutline, icon]);
+
+  const copyLink = useCallback(async () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${designToHash(design)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setDesignNote({ text: "Link copied. Anyone opening it gets this exact design." });
+    } catch { setDesignNote({ error: true, text: "Could not copy; copy the address bar instead." }); }
+  }, [design]);
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all([listItems("presets"), listItems("designs")]).then(([presets, designs]) => {
+      if (alive) setLibrary({ presets, designs });
+    });
+    return () => { alive = false; };
+  }, []);
+
+  // A 4:3 snapshot of the single keychain as the preview shows it
+  const captureThumbnail = useCallback(() => {
+    const renderer = rendererRef.current, scene = sceneRef.current, camera = cameraRef.current;
+    if (!renderer || !scene || !camera || !groupRef.current) return "";
+    const plateShown = plateGroupRef.current?.visible;
+    groupRef.current.visible = true;
+    if (plateGroupRef.current) plateGroupRef.current.visible = false;
+    // the drawing buffer is only readable right after a render
+    renderer.render(scene, camera);
+    const src = renderer.domElement, k = Math.min(src.width / 4, src.height / 3);
+    const c = document.createElement("canvas");
+    c.width = 160; c.height = 120;
+    c.getContext("2d").drawImage(src, (src.width - 4 * k) / 2, (src.height - 3 * k) / 2, 4 * k, 3 * k, 0, 0, 160, 120);
+    groupRef.current.visible = !plateShown;
+    if (plateGroupRef.current) plateGroupRef.current.visible = !!plateShown;
+    return c.toDataURL("image/jpeg", 0.85);
+  }, []);
+
+  const storeItem = useCallback(async (store, item) => {
+    setLibrary(l => ({ ...l, [store]: [item, ...l[store].filter(i => i.id !== item.id)] }));
+    if (!await putItem(store, item)) setDesignNote({ error: true, text: "This browser would not store it; it will be gone after reload." });
+  }, []);
+
+  const saveToLibrary = useCallback((store, name) => {
+    const base = { id: newItemId(), name, savedAt: Date.now() };
+    if (store === "presets") storeItem(store, { ...base, settings: pickPreset(design) });
+    else storeItem(store, { ...base, design: designToJSON(design), thumbnail: captureThumbnail() });
+  }, [design, storeItem, captureThumbnail]);
+
+  const renameInLibrary = useCallback((store, item, name) => storeItem(store, { ...item, name }), [storeItem]);
+
+  const duplicateInLibrary = useCallback((store, item) => {
+    const taken = [...BUILT_IN_PRESETS, ...library[store]].map(i => i.name);
+    const { builtIn: _builtIn, ...rest } = item;
+    storeItem(store, { ...rest, id: newItemId(), name: copyName(item.name, taken), savedAt: Date.now() });
+  }, [library, storeItem]);
+
+  const deleteFromLibrary = useCallback((store, item) => {
+    setLibrary(l => ({ ...l, [store]: l[store].filter(i => i.id !== item.id) }));
+    deleteItem(store, item.id);
+  }, []);
+
+  const loadLibraryDesign = useCallback((item) => {
+    try {
+      loadDesign(parseDesignJSON(item.design));
+      setDesignNote(null);
+    } catch (e) { setDesignNote({ error: true, text: `${item.name}: ${e.message}` }); }
+    setLibraryOpen(false);
+  }, [loadDesign]);
+
+  const applyPreset = useCallback((item) => {
+    applyDesign({ ...design, ...item.settings });
+    setLibraryOpen(false);
+  }, [design, applyDesign]);
+
+  const openDesignFile = useCallback(async (file) => {
+    setDesignNote(null);
+    try { loadDesign(await readDesignFile(file)); } catch (e) { setDesignNote({ error: true, text: e.message }); }
+  }, [loadDesign]);
+
   const canvasRef = useRef(null);
   const cameraRef = useRef(null);
   const rendererRef = useRef(null);
   const controlsRef = useRef(null);
   const animRef = useRef(null);
   const groupRef = useRef(null);
+  const plateGroupRef = useRef(null);
+  const dimsGroupRef = useRef(null);
   const sceneRef = useRef(null);
-  const fontCacheRef = useRef({});
-  const exportGeoRef = useRef({ base: null, tab: null, text: null });
-  const meshRef = useRef({ base: null, tab: null, text: null });
+  const workerRef = useRef(null);
+  const buildIdRef = useRef(0);
+  const colorsRef = useRef({ borderColor: DEFAULTS.borderColor, textColor: DEFAULTS.textColor, iconColor: DEFAULTS.textColor });
+  // 2D outline of the last build; exports rebuild watertight solids from it
+  const outlineRef = useRef(null);
+  const meshRef = useRef({ base: null, text: null, icon: null });
 
   useEffect(() => {
     if (sceneRef.current) sceneRef.current.background.set(C.sceneBg);
@@ -381,6 +1032,8 @@ export default function App() {
       ctrl.enableDamping = true; ctrl.dampingFactor = 0.08; controlsRef.current = ctrl;
     });
     const g = new THREE.Group(); scene.add(g); groupRef.current = g;
+    const pg = new THREE.Group(); pg.visible = false; scene.add(pg); plateGroupRef.current = pg;
+    const dg = new THREE.Group(); scene.add(dg); dimsGroupRef.current = dg;
     let last = 0;
     const tick = t => {
       animRef.current = requestAnimationFrame(tick);
@@ -402,147 +1055,326 @@ export default function App() {
     };
   }, []);
 
+  const clearGroup = useCallback(() => {
+    if (groupRef.current) disposeChildren(groupRef.current);
+  }, []);
+
+  const showBuild = useCallback(({ parts, bounds, outline, pieces, loose, issues = [] }) => {
+    if (!groupRef.current) return;
+    const [minX, minY, minZ] = bounds.min, [maxX, maxY, maxZ] = bounds.max;
+    clearGroup();
+    // the body is base and tabs fused; text only comes separately when it is raised
+    const meshes = keychainMeshes({ parts, bounds }, colorsRef.current);
+    groupRef.current.add(...Object.values(meshes).filter(Boolean), ...issueMeshes(issues));
+    meshRef.current = meshes;
+    setPrintIssues(issues);
+    setShown({ outline, w: maxX - minX, h: maxY - minY, d: outline.textTop, bounds });
+    outlineRef.current = outline;
+    setBasePieces(pieces ?? 1);
+    setLoosePieces(loose ?? 0);
+    if (plateGroupRef.current?.visible) { setStatus("ready"); return; }
+    const span = Math.max(maxX - minX + 30, maxY - minY + 40);
+    if (cameraRef.current) cameraRef.current.position.set(0, 0, span * 1.2);
+    if (controlsRef.current) { controlsRef.current.target.set(0, 0, (maxZ + minZ) / 2); controlsRef.current.update(); }
+    setStatus("ready");
+  }, [clearGroup]);
+
+  // Geometry is built in clipperWorker.js; only the newest request's reply is shown
+  useEffect(() => {
+    const w = new Worker(new URL("./clipperWorker.js", import.meta.url), { type: "module" });
+    w.onmessage = e => {
+      const msg = e.data;
+      if (msg.type === "font") {
+        if (msg.error) console.error(msg.error);
+        setFontStatus(s => ({ ...s, [msg.key]: msg.error ? "error" : "ready" }));
+        return;
+      }
+      if (msg.id !== buildIdRef.current) return;
+      if (msg.error) { console.error(msg.error); setStatus("error"); return; }
+      setMissingGlyphs(msg.missing ?? []);
+      if (msg.empty) { clearGroup(); outlineRef.current = null; setLoosePieces(0); setBasePieces(1); setPrintIssues([]); setShown(null); setStatus("ready"); return; }
+      showBuild(msg);
+    };
+    workerRef.current = w;
+    // a fresh worker has no fonts, so everything reloads on demand
+    return () => { w.terminate(); workerRef.current = null; setFontStatus({}); };
+  }, [clearGroup, showBuild]);
+
+  // Fonts are fetched only when first selected; the worker acknowledges each one it parses
+  const fontBuffer = useCallback(async (key) => {
+    if (customBuffersRef.current[key]) return customBuffersRef.current[key];
+    if (!FONT_URLS[key]) throw new Error(`Unknown font "${key}"`);
+    const r = await fetch(FONT_URLS[key]);
+    if (!r.ok) throw new Error(`Font ${key}: HTTP ${r.status}`);
+    return r.arrayBuffer();
+  }, []);
+
+  const loadFont = useCallback(async (key) => {
+    setFontStatus(s => ({ ...s, [key]: "loading" }));
+    try {
+      const buffer = await fontBuffer(key);
+      if (!workerRef.current) throw new Error("Geometry worker is not running");
+      workerRef.current.postMessage({ type: "font", key, buffer });
+    } catch (e) { console.error(e); setFontStatus(s => ({ ...s, [key]: "error" })); }
+  }, [fontBuffer]);
+
+  useEffect(() => {
+    if (!fontStatus[font]) loadFont(font);
+  }, [font, fontStatus, loadFont]);
+
   useEffect(() => {
     let alive = true;
-    (async () => {
-      try {
-        for (const k of Object.keys(FONT_URLS)) {
-          const r = await fetch(FONT_URLS[k]);
-          if (!r.ok) throw new Error("Font 404");
-          fontCacheRef.current[k] = opentype.parse(await r.arrayBuffer());
-          if (!alive) return;
-        }
-        if (alive) { setFontsReady(true); setStatus("ready"); }
-      } catch (e) { console.error(e); setStatus("error"); }
-    })();
+    loadCustomFonts().then(saved => {
+      if (!alive) return;
+      saved.forEach(f => { customBuffersRef.current[f.key] = f.buffer; });
+      setCustomFonts(saved.map(({ key, label }) => ({ key, label })));
+      setCustomFontsLoaded(true);
+    });
     return () => { alive = false; };
   }, []);
 
-  const clearGroup = useCallback(() => {
-    const g = groupRef.current;
-    if (!g) return;
-    while (g.children.length) {
-      const o = g.children.pop();
-      o?.traverse?.(c => { if (c.isMesh) { c.geometry?.dispose(); c.material?.dispose(); } });
+  // Designs may name a font that was only uploaded on another machine
+  useEffect(() => {
+    if (!customFontsLoaded || FONT_URLS[font] || customFonts.some(f => f.key === font)) return;
+    setDesignNote({ error: true, text: `The font ${font.split(":")[0]} isn't on this device, so the default font is used. Add the font file to get the original look.` });
+    setFont(DEFAULTS.font);
+  }, [customFontsLoaded, customFonts, font]);
+
+  const addFontFiles = useCallback(async (files) => {
+    setFontError(null);
+    for (const file of files) {
+      try {
+        const entry = await readFontFile(file);
+        if (FONT_URLS[entry.key]) throw new Error(`${entry.label} is already built in`);
+        // still usable until reload, so say so rather than refuse it
+        if (!await saveCustomFont(entry)) setFontError(`${entry.label} could not be saved on this device; it will be gone after reload`);
+        customBuffersRef.current[entry.key] = entry.buffer;
+        setFontStatus(s => ({ ...s, [entry.key]: undefined }));
+        setCustomFonts(prev => [...prev.filter(f => f.key !== entry.key), { key: entry.key, label: entry.label }]);
+        setFont(entry.key);
+      } catch (e) { setFontError(e.message); }
     }
   }, []);
 
+  const addIcon = useCallback(async (file) => {
+    setIconError(null);
+    try { setIcon(await readSvgFile(file)); } catch (e) { setIconError(e.message); }
+  }, []);
+
+  const addSvgOutline = useCallback(async (file) => {
+    setSvgError(null);
+    try { setSvgOutline(await readSvgFile(file)); } catch (e) { setSvgError(e.message); }
+  }, []);
+
+  const removeFont = useCallback((key) => {
+    deleteCustomFont(key);
+    delete customBuffersRef.current[key];
+    setCustomFonts(prev => prev.filter(f => f.key !== key));
+    setFont(f => f === key ? DEFAULTS.font : f);
+  }, []);
+
+  // Everything the worker needs besides the text; batch runs reuse it per entry
+  const buildParams = useMemo(() => ({
+    textAlign, lineSpacing: dLineSpacing, letterSpacing: dLetterSpacing, kerning: dKerning,
+    arc, arcRadius: dArcRadius, textStyle, strokeWidth: dStrokeWidth, textCapHeight: dTextCapHeight, textHeight: dTextHeight,
+    borderHeight: dBorderHeight, borderOffset: dBorderOffset, gap: dGap,
+    baseShape, cornerRadius: dCornerRadius, svgOutline: svgOutline?.loops ?? null,
+    tabDiameter: dTabD, holeDiameter: dHoleD, tabAngle: dTabAngle, secondTab, secondTabAngle: dSecondTabAngle, filletRadius: dFillet,
+    textMode, engraveDepth: dEngraveDepth,
+    edgeProfile, textEdge: dTextEdge, baseTopEdge: dBaseTopEdge, baseBottomEdge: dBaseBottomEdge,
+    icon: icon?.loops ?? null, iconSide, iconSize: dIconSize, iconRotation: dIconRotation, iconX: dIconX, iconY: dIconY,
+  }), [textAlign, dLineSpacing, dLetterSpacing, dKerning, arc, dArcRadius, textStyle, dStrokeWidth, dTextCapHeight, dTextHeight, dBorderHeight, dBorderOffset, dGap, baseShape, dCornerRadius, svgOutline, dTabD, dHoleD, dTabAngle, secondTab, dSecondTabAngle, dFillet, textMode, dEngraveDepth, edgeProfile, dTextEdge, dBaseTopEdge, dBaseBottomEdge, icon, iconSide, dIconSize, dIconRotation, dIconX, dIconY]);
+
   useEffect(() => {
-    if (!fontsReady || !safeName || !groupRef.current) return;
-    const otFont = fontCacheRef.current[font];
-    if (!otFont) return;
+    if (!fontReady || !safeName || !workerRef.current) return;
+    const id = ++buildIdRef.current;
     setStatus("building");
-    clearGroup();
-    const tid = setTimeout(() => {
-      try {
-        const probePath = otFont.getPath(safeName, 0, 0, dTextCapHeight).toPathData(2);
-        const probeData = new SVGLoader().parse(`<svg><path d="${probePath}"/></svg>`);
-        const probeShapes = [];
-        probeData.paths.forEach(p => p.toShapes(true).forEach(s => probeShapes.push(s)));
-        let fontSize = dTextCapHeight;
-        if (probeShapes.length) {
-          const probeGeo = new THREE.ExtrudeGeometry(probeShapes, { depth: 1, bevelEnabled: false });
-          probeGeo.computeBoundingBox();
-          const measuredH = probeGeo.boundingBox.max.y - probeGeo.boundingBox.min.y;
-          probeGeo.dispose();
-          if (measuredH > 0) fontSize = dTextCapHeight * (dTextCapHeight / measuredH);
-        }
-        const svgPath = otFont.getPath(safeName, 0, 0, fontSize).toPathData(2);
-        const svgData = new SVGLoader().parse(`<svg><path d="${svgPath}"/></svg>`);
-        const shapes = [];
-        svgData.paths.forEach(p => p.toShapes(true).forEach(s => shapes.push(s)));
-        if (!shapes.length) return;
-        const textGeo = new THREE.ExtrudeGeometry(shapes, { depth: dTextHeight, bevelEnabled: false, curveSegments: 8 });
-        textGeo.scale(1, -1, 1);
-        textGeo.computeBoundingBox();
-        const tb = textGeo.boundingBox;
-        textGeo.translate(-(tb.max.x + tb.min.x) / 2, -(tb.max.y + tb.min.y) / 2, 0);
-        const outerPaths = shapes.flatMap(sh => shapeToOuterPaths(sh, 48));
-        const baseGeo = new THREE.ExtrudeGeometry(polysToShapes(offsetUnion(outerPaths, dBorderOffset)), { depth: dBorderHeight, bevelEnabled: false, curveSegments: 10 });
-        baseGeo.scale(1, -1, 1);
-        baseGeo.computeBoundingBox();
-        const bb = baseGeo.boundingBox;
-        baseGeo.translate(-(bb.max.x + bb.min.x) / 2, -(bb.max.y + bb.min.y) / 2, 0);
-        baseGeo.computeBoundingBox();
-        const baseB = baseGeo.boundingBox;
-        const tabGeo = makeTabGeo(dTabD / 2, dHoleD / 2, dBorderHeight, 40);
-        tabGeo.translate(baseB.min.x - dGap - dTabD / 2, dTabY, 0);
-        clearGroup();
-        const baseMat = new THREE.MeshPhongMaterial({ color: borderColor, shininess: 80 });
-        const textMat = new THREE.MeshPhongMaterial({ color: textColor, shininess: 100 });
-        const baseMesh = new THREE.Mesh(baseGeo, baseMat);
-        const tabMesh = new THREE.Mesh(tabGeo, baseMat);
-        const textMesh = new THREE.Mesh(textGeo, textMat);
-        textMesh.position.z = dBorderHeight;
-        groupRef.current.add(baseMesh, tabMesh, textMesh);
-        meshRef.current = { base: baseMesh, tab: tabMesh, text: textMesh };
-        Object.values(exportGeoRef.current).forEach(g => g?.dispose());
-        exportGeoRef.current = { base: baseGeo.clone(), tab: tabGeo.clone(), text: textGeo.clone() };
-        const span = Math.max(baseB.max.x - baseB.min.x + dTabD + dGap + 30, baseB.max.y - baseB.min.y + 40);
-        if (cameraRef.current) cameraRef.current.position.set(0, 0, span * 1.2);
-        if (controlsRef.current) { controlsRef.current.target.set(0, 0, dBorderHeight / 2); controlsRef.current.update(); }
-        setStatus("ready");
-      } catch (e) { console.error(e); setStatus("error"); }
-    }, 0);
-    return () => clearTimeout(tid);
-  }, [fontsReady, safeName, font, dTextCapHeight, dTextHeight, dBorderHeight, dBorderOffset, dGap, dTabD, dHoleD, dTabY, borderColor, textColor, clearGroup]);
+    workerRef.current.postMessage({ type: "build", id, font, params: { text: safeName, ...buildParams }, nozzle });
+  }, [fontReady, safeName, font, buildParams, nozzle]);
+
+  // Nozzle, material and infill belong to the printer, not the design, so they are kept on their own
+  useEffect(() => {
+    keyValueStore().get(PRINTER_KEY).then(r => {
+      const saved = r ? JSON.parse(r.value) : {};
+      if (Number.isFinite(saved?.nozzle) && saved.nozzle >= 0.1 && saved.nozzle <= 1.2) setNozzle(saved.nozzle);
+      if (MATERIALS.some(m => m.value === saved?.material)) setMaterial(saved.material);
+      if (Number.isFinite(saved?.infill) && saved.infill >= 0 && saved.infill <= 100) setInfill(saved.infill);
+    }).catch(() => {}).finally(() => { printerLoadedRef.current = true; });
+  }, []);
+
+  useEffect(() => {
+    if (printerLoadedRef.current) keyValueStore().set(PRINTER_KEY, JSON.stringify({ nozzle, material, infill })).catch(() => {});
+  }, [nozzle, material, infill]);
+
+  const estimate = useMemo(() => {
+    if (!shown) return null;
+    const stats = printStats(shown.outline, { nozzle });
+    const density = MATERIALS.find(m => m.value === material)?.density ?? MATERIALS[0].density;
+    return { volume: stats.volume, ...filamentUse(stats, { infill: infill / 100, density }) };
+  }, [shown, nozzle, material, infill]);
+
+  useEffect(() => {
+    const dg = dimsGroupRef.current;
+    if (!dg) return;
+    disposeChildren(dg);
+    dg.visible = showDims && !plateOpen;
+    if (shown && showDims) dg.add(dimensionLines(shown, darkMode ? "#ead6f8" : "#5c3d6b"));
+  }, [shown, showDims, plateOpen, darkMode]);
+
+  const shownIconColor = iconColorMode === "own" ? iconColor : textColor;
+
+  const batchFonts = useMemo(() => [
+    ...Object.keys(FONT_URLS).map(key => ({ key, label: key.split(":")[0] })),
+    ...customFonts,
+  ], [customFonts]);
+
+  const runBatchExport = useCallback(async ({ entries, rejected, format, onProgress, isCancelled }) => {
+    const res = await runBatch({
+      entries, rejected, format, onProgress, isCancelled, fontBuffer,
+      defaultFont: font, params: buildParams,
+      colors: { borderColor, textColor, iconColor: iconColorMode === "own" ? iconColor : null },
+    });
+    if (res.zip) download(res.zip, `keychains_${format.toLowerCase()}.zip`, "application/zip");
+    return res;
+  }, [fontBuffer, font, buildParams, borderColor, textColor, iconColorMode, iconColor]);
+
+  // Plate contents are built once per arrange; changing the bed only repacks them
+  const arrangePlate = useCallback(async ({ source, copies, entries, onProgress, isCancelled }) => {
+    const list = source === "copies"
+      ? Array.from({ length: copies }, (_, i) => ({ line: i + 1, name: safeName }))
+      : entries;
+    const builder = openBuilder(fontBuffer);
+    const builds = [], failures = [], seen = new Map(); // font + name -> worker reply
+    try {
+      for (let i = 0; i < list.length; i++) {
+        if (isCancelled()) break;
+        const entry = list[i], entryFont = entry.font ?? font, key = `${entryFont}\n${entry.name}`;
+        try {
+          if (!seen.has(key)) seen.set(key, await builder.build(entryFont, { ...buildParams, text: entry.name }));
+          const tc = entry.textColor ?? textColor;
+          builds.push({
+            name: entry.name, msg: seen.get(key),
+            colors: { borderColor: entry.borderColor ?? borderColor, textColor: tc, iconColor: iconColorMode === "own" ? iconColor : tc },
+          });
+        } catch (e) { failures.push({ line: entry.line, name: entry.name, reason: e.message }); }
+        onProgress(i + 1, list.length);
+        await new Promise(r => setTimeout(r, 0));
+      }
+    } finally { builder.close(); }
+    setPlateBuilds(builds);
+    return failures;
+  }, [safeName, fontBuffer, font, buildParams, borderColor, textColor, iconColorMode, iconColor]);
+
+  const plateLayout = useMemo(() => {
+    if (!plateBuilds) return null;
+    const places = packPlate(plateBuilds.map(b => {
+      const [x1, y1, x2, y2] = footprint(b.msg.outline);
+      return { w: x2 - x1, h: y2 - y1 };
+    }), plateBed);
+    return {
+      placed: plateBuilds.flatMap((b, i) => places[i] ? [{ ...b, transform: plateTransform(b.msg.outline, places[i]) }] : []),
+      overflow: plateBuilds.filter((b, i) => !places[i]),
+    };
+  }, [plateBuilds, plateBed]);
+
+  const exportPlateFile = useCallback(format => {
+    if (!plateLayout?.placed.length) return;
+    const items = plateLayout.placed.map(p => ({ name: p.name.replace(/\n/g, " "), outline: p.msg.outline, transform: p.transform, colors: p.colors }));
+    const data = exportPlate(items, format, "Plate");
+    const ext = format.toLowerCase();
+    download(data, `plate_${plateBed.width}x${plateBed.height}.${ext}`, `model/${ext}`);
+  }, [plateLayout, plateBed]);
+
+  // The plate view swaps the single keychain for the bed and everything packed on it
+  useEffect(() => {
+    const pg = plateGroupRef.current;
+    if (!pg || !groupRef.current) return;
+    disposeChildren(pg);
+    pg.visible = plateOpen;
+    groupRef.current.visible = !plateOpen;
+    if (!plateOpen) return;
+    const { width, height } = plateBed;
+    const bedMesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), new THREE.MeshBasicMaterial({ color: C.accent2, transparent: true, opacity: 0.08 }));
+    bedMesh.position.z = -0.05;
+    const edge = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints([[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => new THREE.Vector3(x * width / 2, y * height / 2, 0))),
+      new THREE.LineBasicMaterial({ color: C.accent }));
+    pg.add(bedMesh, edge);
+    for (const p of plateLayout?.placed ?? []) {
+      const holder = new THREE.Group();
+      holder.add(...Object.values(keychainMeshes(p.msg, p.colors)).filter(Boolean));
+      if (p.transform.rotated) holder.rotation.z = Math.PI / 2;
+      holder.position.set(p.transform.dx, p.transform.dy, 0);
+      pg.add(holder);
+    }
+  }, [plateOpen, plateBed, plateLayout, C.accent, C.accent2]);
 
   useEffect(() => {
-    const { base, tab, text } = meshRef.current;
+    if (!cameraRef.current) return;
+    cameraRef.current.position.set(0, 0, plateOpen ? Math.max(plateBed.width, plateBed.height) * 1.3 : 140);
+    controlsRef.current?.target.set(0, 0, 0);
+    controlsRef.current?.update();
+  }, [plateOpen, plateBed.width, plateBed.height]);
+
+  useEffect(() => {
+    colorsRef.current = { borderColor, textColor, iconColor: shownIconColor };
+    const { base, text, icon: iconMesh } = meshRef.current;
     if (base) base.material.color.set(borderColor);
-    if (tab) tab.material.color.set(borderColor);
     if (text) text.material.color.set(textColor);
-  }, [borderColor, textColor]);
+    if (iconMesh) iconMesh.material.color.set(shownIconColor);
+  }, [borderColor, textColor, shownIconColor]);
+
+  const doExportSTL = useCallback((filename, { ascii = false, split = false } = {}) => {
+    const outline = outlineRef.current;
+    if (!outline) return;
+    if (split && outline.mode === "raised") {
+      const { body, text, icon: iconGeo } = solidParts(outline);
+      try {
+        assertWatertight(body, "The base");
+        assertWatertight(text, "The text");
+        if (iconGeo) assertWatertight(iconGeo, "The icon");
+        // all bodies keep the shared origin, so they line up when loaded together;
+        // an icon in the text color travels with the text
+        const ownIcon = iconGeo && iconColorMode === "own";
+        const zip = toZip({
+          [`${filename}_base.stl`]: toSTL([body], { binary: !ascii }),
+          [`${filename}_text.stl`]: toSTL(iconGeo && !ownIcon ? [text, iconGeo] : [text], { binary: !ascii }),
+          ...(ownIcon && { [`${filename}_icon.stl`]: toSTL([iconGeo], { binary: !ascii }) }),
+          "color-change.txt": colorChangeNote(outline.baseTop),
+        });
+        download(zip, `${filename}.zip`, "application/zip");
+      } finally { body.dispose(); text.dispose(); iconGeo?.dispose(); }
+    } else {
+      const solid = solidUnion(outline);
+      try {
+        assertWatertight(solid, "The keychain");
+        const stl = toSTL([solid], { binary: !ascii });
+        if (stl) download(stl, `${filename}.stl`, "model/stl");
+      } finally { solid.dispose(); }
+    }
+  }, [iconColorMode]);
 
-  const doExportSTL = useCallback((filename) => {
-    const { base, tab, text } = exportGeoRef.current;
-    if (!base || !tab || !text) return;
-    const t = text.clone(); t.translate(0, 0, borderHeight);
-    const merged = mergeGeometries([cleanGeo(base), cleanGeo(tab), cleanGeo(t)], false);
-    if (!merged) return;
-    const stl = new STLExporter().parse(new THREE.Mesh(merged, new THREE.MeshNormalMaterial()), { binary: false });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(new Blob([stl], { type: "model/stl" }));
-    a.download = `${filename}.stl`; a.click(); URL.revokeObjectURL(a.href);
-    merged.dispose();
-  }, [borderHeight]);
+  const doExport3MF = useCallback((filename) => {
+    const outline = outlineRef.current;
+    if (!outline) return;
+    const files = exportOutline(outline, "3MF", { borderColor, textColor, iconColor: shownIconColor }, filename);
+    download(files[`${filename}.3mf`], `${filename}.3mf`, "model/3mf");
+  }, [borderColor, textColor, shownIconColor]);
 
   const doExportOBJ = useCallback((filename) => {
-    const { base, tab, text } = exportGeoRef.current;
-    if (!base || !tab || !text) return;
-    const tText = text.clone(); tText.translate(0, 0, borderHeight);
-    const baseC = cleanGeo(base), tabC = cleanGeo(tab), textC = cleanGeo(tText);
-    const baseMerged = mergeGeometries([baseC, tabC], false);
-    const mtlName = `${filename}.mtl`;
-    const hk = hex => { const h = hex.replace(/^#/, ""); return [parseInt(h.slice(0, 2), 16) / 255, parseInt(h.slice(2, 4), 16) / 255, parseInt(h.slice(4, 6), 16) / 255]; };
-    const [r1, g1, b1] = hk(borderColor), [r2, g2, b2] = hk(textColor);
-    const mtlStr = [`# Keychain Generator`, ``, `newmtl BorderColor`, `Kd ${r1.toFixed(6)} ${g1.toFixed(6)} ${b1.toFixed(6)}`, `Ka ${r1.toFixed(6)} ${g1.toFixed(6)} ${b1.toFixed(6)}`, `Ks 0.05 0.05 0.05`, `Ns 10`, `d 1`, `illum 2`, ``, `newmtl TextColor`, `Kd ${r2.toFixed(6)} ${g2.toFixed(6)} ${b2.toFixed(6)}`, `Ka ${r2.toFixed(6)} ${g2.toFixed(6)} ${b2.toFixed(6)}`, `Ks 0.05 0.05 0.05`, `Ns 10`, `d 1`, `illum 2`].join("\n");
-    function gLines(geo, mat, grp, off) {
-      const pos = geo.toNonIndexed().attributes.position, lines = [`g ${grp}`, `usemtl ${mat}`];
-      for (let i = 0; i < pos.count; i++) lines.push(`v ${pos.getX(i).toFixed(6)} ${pos.getY(i).toFixed(6)} ${pos.getZ(i).toFixed(6)}`);
-      for (let i = 0; i < pos.count; i += 3) lines.push(`f ${off + i + 1} ${off + i + 2} ${off + i + 3}`);
-      return lines;
-    }
-    const bLines = gLines(baseMerged, "BorderColor", "base_tab", 1);
-    const tLines = gLines(textC, "TextColor", "text", baseMerged.toNonIndexed().attributes.position.count + 1);
-    const objStr = [`# Keychain Generator`, `mtllib ${mtlName}`, ...bLines, ...tLines].join("\n");
-    const aObj = document.createElement("a");
-    aObj.href = URL.createObjectURL(new Blob([objStr], { type: "model/obj" }));
-    aObj.download = `${filename}.obj`; aObj.click(); URL.revokeObjectURL(aObj.href);
-    setTimeout(() => {
-      const aMtl = document.createElement("a");
-      aMtl.href = URL.createObjectURL(new Blob([mtlStr], { type: "model/mtl" }));
-      aMtl.download = mtlName; aMtl.click(); URL.revokeObjectURL(aMtl.href);
-    }, 200);
-    baseC.dispose(); tabC.dispose(); textC.dispose(); baseMerged?.dispose();
-  }, [borderHeight, borderColor, textColor]);
+    const outline = outlineRef.current;
+    if (!outline) return;
+    const files = exportOutline(outline, "OBJ", { borderColor, textColor, iconColor: shownIconColor }, filename);
+    download(files[`${filename}.obj`], `${filename}.obj`, "model/obj");
+    setTimeout(() => download(files[`${filename}.mtl`], `${filename}.mtl`, "model/mtl"), 200);
+  }, [borderColor, textColor, shownIconColor]);
 
   const resetCamera = useCallback(() => {
     if (!cameraRef.current || !controlsRef.current) return;
-    cameraRef.current.position.set(0, 0, 140);
+    cameraRef.current.position.set(0, 0, plateOpen ? Math.max(plateBed.width, plateBed.height) * 1.3 : 140);
     controlsRef.current.target.set(0, 0, 0);
     controlsRef.current.update();
-  }, []);
+  }, [plateOpen, plateBed.width, plateBed.height]);
 
   // ── Global styles: fix html/body margin, overflow, background ──
   useEffect(() => {
@@ -577,9 +1409,11 @@ export default function App() {
     document.head.appendChild(s);
   }, []);
 
-  const isBuilding = status === "building" || status === "loading";
-  const statusColor = status === "ready" ? "#86efac" : status === "error" ? "#fca5a5" : "#fcd34d";
-  const statusLabel = status === "ready" ? "Ready" : status === "error" ? "Error" : status === "building" ? "Rebuilding…" : "Loading fonts…";
+  // the selected font's own state wins until it's ready to build with
+  const shownStatus = fontStatus[font] === "error" ? "error" : !fontReady ? "loading" : status;
+  const isBuilding = shownStatus === "building" || shownStatus === "loading";
+  const statusColor = shownStatus === "ready" ? "#86efac" : shownStatus === "error" ? "#fca5a5" : "#fcd34d";
+  const statusLabel = shownStatus === "ready" ? "Ready" : shownStatus === "error" ? "Error" : shownStatus === "building" ? "Rebuilding…" : "Loading font…";
 
   const inp = {
     width: "100%", padding: "9px 12px", background: C.inputBg, border: "none",
@@ -588,20 +1422,29 @@ export default function App() {
   };
 
   return (
-    <div style={{
-      fontFamily: "'Montserrat',sans-serif",
-      background: C.bg,
-      color: C.text,
-      // FIX: lock to full viewport, no scroll, no white border
-      height: "100dvh",
-      width: "100vw",
-      overflow: "hidden",
-      margin: 0,
-      padding: 0,
-      display: "flex",
-      flexDirection: "column",
-      position: "relative",
-    }}>
+    <div
+      onDragOver={e => { if ([...e.dataTransfer.items].some(i => i.kind === "file")) { e.preventDefault(); setDragging(true); } }}
+      onDragLeave={e => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); }}
+      onDrop={e => {
+        e.preventDefault(); setDragging(false);
+        const files = [...e.dataTransfer.files].filter(f => FONT_FILE_RE.test(f.name));
+        if (files.length) addFontFiles(files);
+        else setFontError("Drop a .ttf, .otf or .woff font file");
+      }}
+      style={{
+        fontFamily: "'Montserrat',sans-serif",
+        background: C.bg,
+        color: C.text,
+        // FIX: lock to full viewport, no scroll, no white border
+        height: "100dvh",
+        width: "100vw",
+        overflow: "hidden",
+        margin: 0,
+        padding: 0,
+        display: "flex",
+        flexDirection: "column",
+        position: "relative",
+      }}>
       {/* Blobs */}
       <div style={{ position: "absolute", top: -80, left: -60, width: 340, height: 340, borderRadius: "50%", background: C.blob1, filter: "blur(60px)", pointerEvents: "none", zIndex: 0 }} />
       <div style={{ position: "absolute", bottom: -60, right: -40, width: 280, height: 280, borderRadius: "50%", background: C.blob2, filter: "blur(50px)", pointerEvents: "none", zIndex: 0 }} />
@@ -628,27 +1471,62 @@ export default function App() {
         <div style={{
           background: C.surface,
           borderRight: `1px solid ${C.border}`,
+          boxShadow: dragging ? `inset 0 0 0 2px ${C.accent}` : "none",
           overflowY: "auto",
           overflowX: "hidden",
           padding: "16px 18px",
         }}>
           <FieldLabel dirty={name !== DEFAULTS.name} onReset={() => setName(DEFAULTS.name)} C={C}>Name</FieldLabel>
-          <input value={name} onChange={e => setName(e.target.value)} maxLength={20} placeholder="Your name…"
+          <textarea value={name} rows={Math.min(lineCount, MAX_LINES)} placeholder="Your name…"
+            onChange={e => setName(clampName(e.target.value))}
             onFocus={e => e.target.style.borderColor = C.accent} onBlur={e => e.target.style.borderColor = C.inputBorder}
-            style={{ ...inp, marginBottom: 4 }} />
-          <div style={{ fontSize: 10, color: C.muted, textAlign: "right", marginBottom: 10 }}>{name.length}/20</div>
+            style={{ ...inp, marginBottom: 4, resize: "none", lineHeight: 1.4, display: "block" }} />
+          <div style={{ fontSize: 10, color: C.muted, textAlign: "right", marginBottom: 10 }}>
+            {lineCount > 1 && `${lineCount}/${MAX_LINES} lines · `}{longestLine}/{MAX_LINE_CHARS}
+          </div>
+          {missingGlyphs.length > 0 && (
+            <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginTop: -4, marginBottom: 10, lineHeight: 1.5 }}>
+              Not in this font, skipped: <span style={{ fontFamily: "'DM Mono',monospace" }}>{missingGlyphs.join(" ")}</span>
+            </div>
+          )}
 
           <FieldLabel dirty={font !== DEFAULTS.font} onReset={() => setFont(DEFAULTS.font)} C={C}>Font</FieldLabel>
-          <div style={{ position: "relative", marginBottom: 16 }}>
+          <div style={{ position: "relative", marginBottom: 6 }}>
             <select value={font} onChange={e => setFont(e.target.value)} style={{ ...inp, cursor: "pointer", paddingRight: 32 }}>
-              <option value="Pacifico:style=Regular">Pacifico</option>
-              <option value="Lobster:style=Regular">Lobster</option>
-              <option value="Titan One:style=Regular">Titan One</option>
-              <option value="Luckiest Guy:style=Regular">Luckiest Guy</option>
-              <option value="Bhineka:style=Regular">Bhineka</option>
+              {Object.keys(FONT_URLS).map(k => <option key={k} value={k}>{k.split(":")[0]}{FONT_STATUS_SUFFIX[fontStatus[k]] ?? ""}</option>)}
+              {customFonts.length > 0 && (
+                <optgroup label="Your fonts">
+                  {customFonts.map(f => <option key={f.key} value={f.key}>{f.label}{FONT_STATUS_SUFFIX[fontStatus[f.key]] ?? ""}</option>)}
+                </optgroup>
+              )}
             </select>
             <span style={{ position: "absolute", right: 12, top: "50%", transform: "translateY(-50%)", pointerEvents: "none", fontSize: 10, color: C.muted }}>▾</span>
           </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: fontError ? 6 : 16 }}>
+            <button onClick={() => fontInputRef.current?.click()}
+              style={{ fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" }}>
+              + Add font
+            </button>
+            {customFonts.some(f => f.key === font) && (
+              <button onClick={() => removeFont(font)}
+                style={{ fontSize: 10, color: C.muted, background: "none", border: `1px solid ${C.border}`, borderRadius: 8, padding: "3px 8px", cursor: "pointer", fontFamily: "inherit" }}>
+                Remove
+              </button>
+            )}
+            <span style={{ fontSize: 10, color: C.muted }}>or drop .ttf / .otf / .woff</span>
+            <input ref={fontInputRef} type="file" accept=".ttf,.otf,.woff" multiple style={{ display: "none" }}
+              onChange={e => { addFontFiles([...e.target.files]); e.target.value = ""; }} />
+          </div>
+          {fontStatus[font] === "error" && (
+            <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 10, color: "#f87171", marginTop: -10, marginBottom: 16 }}>
+              This font failed to load.
+              <button onClick={() => loadFont(font)}
+                style={{ fontSize: 10, color: C.accent, background: "none", border: `1px solid ${C.border}`, borderRadius: 8, padding: "2px 8px", cursor: "pointer", fontFamily: "inherit" }}>
+                Retry
+              </button>
+            </div>
+          )}
+          {fontError && <div style={{ fontSize: 10, color: "#f87171", marginBottom: 16, lineHeight: 1.5 }}>{fontError}</div>}
 
           {/* Dark mode toggle */}
           <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 16 }}>
@@ -664,38 +1542,165 @@ export default function App() {
 
           <SectionHeader label="Text" C={C} />
           <SliderRow label="Cap Height" value={textCapHeight} min={8} max={60} step={0.5} onChange={setTextCapHeight} defaultValue={DEFAULTS.textCapHeight} C={C} />
-          <SliderRow label="Depth" value={textHeight} min={0.5} max={10} step={0.5} onChange={setTextHeight} defaultValue={DEFAULTS.textHeight} C={C} />
+          <ChoiceRow label="Style" value={textMode} onChange={setTextMode} defaultValue={DEFAULTS.textMode} C={C}
+            options={[{ value: "raised", label: "Raised" }, { value: "engraved", label: "Engraved", title: "Sunk into the base" }, { value: "cut", label: "Cut-through", title: "Cut out of the base like a stencil" }]} />
+          {textMode === "raised" && <SliderRow label="Depth" value={textHeight} min={0.5} max={10} step={0.5} onChange={setTextHeight} defaultValue={DEFAULTS.textHeight} C={C} />}
+          {textMode === "engraved" && <SliderRow label="Engrave Depth" value={engraveDepth} min={0.2} max={Math.max(0.5, borderHeight - 0.4)} step={0.1} onChange={setEngraveDepth} defaultValue={DEFAULTS.engraveDepth} C={C} />}
+          {textMode === "cut" && loosePieces > 0 && (
+            <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginTop: -4, marginBottom: 10, lineHeight: 1.5 }}>
+              {loosePieces} enclosed {loosePieces === 1 ? "piece" : "pieces"} (like the inside of O) will fall out when cut through.
+            </div>
+          )}
+          <ChoiceRow label="Letters" value={textStyle} onChange={setTextStyle} defaultValue={DEFAULTS.textStyle} C={C}
+            options={[{ value: "filled", label: "Filled" }, { value: "outline", label: "Outline", title: "Only a stroke along each letter's edge" }]} />
+          {textStyle === "outline" && <SliderRow label="Stroke Width" value={strokeWidth} min={0.4} max={5} step={0.1} onChange={setStrokeWidth} defaultValue={DEFAULTS.strokeWidth} C={C} />}
+          <SliderRow label="Letter Spacing" value={letterSpacing} min={-5} max={10} step={0.1} onChange={setLetterSpacing} defaultValue={DEFAULTS.letterSpacing} C={C} />
+          {kernPairs.length > 0 && <KerningRow pairs={kernPairs} kerning={kerning} onChange={setKerning} C={C} />}
+          <ChoiceRow label="Arc" value={arc} onChange={setArc} defaultValue={DEFAULTS.arc} C={C}
+            options={[{ value: "none", label: "Straight" }, { value: "up", label: "Arc up", title: "Along the top of a circle" }, { value: "down", label: "Arc down", title: "Along the bottom of a circle" }]} />
+          {arc !== "none" && <SliderRow label="Arc Radius" value={arcRadius} min={15} max={300} step={1} onChange={setArcRadius} defaultValue={DEFAULTS.arcRadius} C={C} />}
+          {lineCount > 1 && <>
+            <ChoiceRow label="Alignment" value={textAlign} onChange={setTextAlign} defaultValue={DEFAULTS.textAlign} C={C}
+              options={[{ value: "left", label: "Left" }, { value: "center", label: "Center" }, { value: "right", label: "Right" }]} />
+            <SliderRow label="Line Spacing" value={lineSpacing} min={1} max={3} step={0.05} unit="×" onChange={setLineSpacing} defaultValue={DEFAULTS.lineSpacing} C={C} />
+          </>}
+
+          <SectionHeader label="Icon" C={C} />
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: iconError ? 6 : 14 }}>
+            <button onClick={() => iconInputRef.current?.click()}
+              style={{ fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" }}>
+              {icon ? "Replace SVG" : "+ Add icon"}
+            </button>
+            {icon && (
+              <button onClick={() => setIcon(null)}
+                style={{ fontSize: 10, color: C.muted, background: "none", border: `1px solid ${C.border}`, borderRadius: 8, padding: "3px 8px", cursor: "pointer", fontFamily: "inherit" }}>
+                Remove
+              </button>
+            )}
+            <span style={{ fontSize: 10, color: C.muted, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+              {icon ? icon.name : "a heart, paw or logo (.svg)"}
+            </span>
+            <input ref={iconInputRef} type="file" accept=".svg,image/svg+xml" style={{ display: "none" }}
+              onChange={e => { const f = e.target.files[0]; e.target.value = ""; if (f) addIcon(f); }} />
+          </div>
+          {iconError && <div style={{ fontSize: 10, color: "#f87171", marginBottom: 14, lineHeight: 1.5 }}>{iconError}</div>}
+          {icon && <>
+            <ChoiceRow label="Side" value={iconSide} onChange={setIconSide} defaultValue={DEFAULTS.iconSide} C={C}
+              options={[{ value: "left", label: "Left" }, { value: "right", label: "Right" }, { value: "above", label: "Above" }, { value: "below", label: "Below" }]} />
+            <SliderRow label="Size" value={iconSize} min={3} max={60} step={0.5} onChange={setIconSize} defaultValue={DEFAULTS.iconSize} C={C} />
+            <SliderRow label="Rotation" value={iconRotation} min={-180} max={180} step={5} unit="°" onChange={setIconRotation} defaultValue={DEFAULTS.iconRotation} C={C} />
+            <SliderRow label="Offset X" value={iconX} min={-30} max={30} step={0.5} onChange={setIconX} defaultValue={DEFAULTS.iconX} C={C} />
+            <SliderRow label="Offset Y" value={iconY} min={-30} max={30} step={0.5} onChange={setIconY} defaultValue={DEFAULTS.iconY} C={C} />
+          </>}
 
           <SectionHeader label="Base" C={C} />
+          <FieldLabel dirty={baseShape !== DEFAULTS.baseShape} onReset={() => setBaseShape(DEFAULTS.baseShape)} C={C}>Shape</FieldLabel>
+          <div style={{ position: "relative", marginBottom: 14 }}>
+            <select value={baseShape} onChange={e => setBaseShape(e.target.value)} style={{ ...inp, cursor: "pointer", paddingRight: 32 }}>
+              {Object.entries(BASE_SHAPE_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <span style={{ position: "absolute", right: 12, top: "50%", transform: "translateY(-50%)", pointerEvents: "none", fontSize: 10, color: C.muted }}>▾</span>
+          </div>
+          {baseShape === "rect" && <SliderRow label="Corner Radius" value={cornerRadius} min={0} max={20} step={0.5} onChange={setCornerRadius} defaultValue={DEFAULTS.cornerRadius} C={C} />}
+          {baseShape === "svg" && (
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: -4, marginBottom: svgError ? 6 : 14 }}>
+              <button onClick={() => svgInputRef.current?.click()}
+                style={{ fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" }}>
+                {svgOutline ? "Replace SVG" : "+ Upload SVG"}
+              </button>
+              <span style={{ fontSize: 10, color: C.muted, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {svgOutline ? svgOutline.name : "using the contour until one is added"}
+              </span>
+              <input ref={svgInputRef} type="file" accept=".svg,image/svg+xml" style={{ display: "none" }}
+                onChange={e => { const f = e.target.files[0]; e.target.value = ""; if (f) addSvgOutline(f); }} />
+            </div>
+          )}
+          {baseShape === "svg" && svgError && <div style={{ fontSize: 10, color: "#f87171", marginBottom: 14, lineHeight: 1.5 }}>{svgError}</div>}
           <SliderRow label="Height" value={borderHeight} min={0.5} max={8} step={0.5} onChange={setBorderHeight} defaultValue={DEFAULTS.borderHeight} C={C} />
           <SliderRow label="Border Padding" value={borderOffset} min={0} max={15} step={0.5} onChange={setBorderOffset} defaultValue={DEFAULTS.borderOffset} C={C} />
+          {basePieces > 1 && (
+            <div style={{ fontSize: 10, color: "#f87171", background: C.pill, borderRadius: 10, padding: "6px 10px", marginTop: -4, marginBottom: 10, lineHeight: 1.5 }}>
+              The base is in {basePieces} separate pieces. Raise Border Padding until the letters join up.
+            </div>
+          )}
+
+          <SectionHeader label="Edges" C={C} />
+          <ChoiceRow label="Profile" value={edgeProfile} onChange={setEdgeProfile} defaultValue={DEFAULTS.edgeProfile} C={C}
+            options={[{ value: "chamfer", label: "Chamfer", title: "A 45° cut" }, { value: "fillet", label: "Fillet", title: "A rounded edge" }]} />
+          {textMode === "raised" && <SliderRow label="Text Top" value={textEdge} min={0} max={Math.max(0.5, textHeight)} step={0.1} onChange={setTextEdge} defaultValue={DEFAULTS.textEdge} C={C} />}
+          <SliderRow label="Base Top" value={baseTopEdge} min={0} max={3} step={0.1} onChange={setBaseTopEdge} defaultValue={DEFAULTS.baseTopEdge} C={C} />
+          <SliderRow label="Base Bottom" value={baseBottomEdge} min={0} max={2} step={0.1} onChange={setBaseBottomEdge} defaultValue={DEFAULTS.baseBottomEdge} C={C} />
 
           <SectionHeader label="Hole Tab" C={C} />
           <SliderRow label="Gap" value={gap} min={-5} max={10} step={0.5} onChange={setGap} defaultValue={DEFAULTS.gap} C={C} />
           <SliderRow label="Tab Diameter" value={tabDiameter} min={4} max={20} step={0.5} onChange={setTabDiameter} defaultValue={DEFAULTS.tabDiameter} C={C} />
           <SliderRow label="Hole Diameter" value={holeDiameter} min={1} max={10} step={0.5} onChange={setHoleDiameter} defaultValue={DEFAULTS.holeDiameter} C={C} />
-          <SliderRow label="Tab Y Offset" value={tabYOffset} min={-10} max={10} step={0.5} onChange={setTabYOffset} defaultValue={DEFAULTS.tabYOffset} C={C} />
+          <SliderRow label="Fillet Radius" value={filletRadius} min={0} max={5} step={0.5} onChange={setFilletRadius} defaultValue={DEFAULTS.filletRadius} C={C} />
+          <ChoiceRow label="Position" value={tabAngle} onChange={setTabAngle} defaultValue={DEFAULTS.tabAngle} C={C} options={TAB_SIDES} />
+          <SliderRow label="Angle" value={tabAngle} min={0} max={359} step={1} unit="°" onChange={setTabAngle} defaultValue={DEFAULTS.tabAngle} C={C} />
+          <ChoiceRow label="Holes" value={secondTab} onChange={setSecondTab} defaultValue={DEFAULTS.secondTab} C={C}
+            options={[{ value: false, label: "One" }, { value: true, label: "Two", title: "A second hole for two-point mounting, e.g. bag tags" }]} />
+          {secondTab && <SliderRow label="Second Angle" value={secondTabAngle} min={0} max={359} step={1} unit="°" onChange={setSecondTabAngle} defaultValue={DEFAULTS.secondTabAngle} C={C} />}
 
           <SectionHeader label="Colors" C={C} />
           <ColorRow label="Border Color" value={borderColor} defaultValue={DEFAULTS.borderColor} onChange={setBorderColor} C={C} />
           <ColorRow label="Text Color" value={textColor} defaultValue={DEFAULTS.textColor} onChange={setTextColor} C={C} />
+          {icon && <>
+            <ChoiceRow label="Icon Color" value={iconColorMode} onChange={setIconColorMode} defaultValue={DEFAULTS.iconColorMode} C={C}
+              options={[{ value: "text", label: "Same as text" }, { value: "own", label: "Third color" }]} />
+            {iconColorMode === "own" && <ColorRow label="Icon Color" value={iconColor} defaultValue={DEFAULTS.iconColor} onChange={setIconColor} C={C} />}
+          </>}
+
+          <SectionHeader label="Size & Material" C={C} />
+          {shown && estimate && (
+            <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "4px 10px", fontSize: 11, marginBottom: 12, padding: "8px 10px", borderRadius: 10, background: C.pill }}>
+              <span style={{ color: C.muted }}>Size</span>
+              <span style={{ fontFamily: "'DM Mono',monospace", color: C.pillText }}>{shown.w.toFixed(1)} × {shown.h.toFixed(1)} × {shown.d.toFixed(1)} mm</span>
+              <span style={{ color: C.muted }}>Volume</span>
+              <span style={{ fontFamily: "'DM Mono',monospace", color: C.pillText }}>{(estimate.volume / 1000).toFixed(2)} cm³</span>
+              <span style={{ color: C.muted }}>Filament</span>
+              <span style={{ fontFamily: "'DM Mono',monospace", color: C.pillText }}>≈ {estimate.grams.toFixed(1)} g · {estimate.meters.toFixed(2)} m</span>
+            </div>
+          )}
+          <ChoiceRow label="Material" value={material} onChange={setMaterial} defaultValue="PLA" C={C}
+            options={MATERIALS.map(m => ({ value: m.value, label: m.value, title: `${m.density} g/cm³` }))} />
+          <SliderRow label="Infill" value={infill} min={0} max={100} step={5} unit="%" onChange={setInfill} defaultValue={15} C={C} />
+
+          <SectionHeader label="Printability" C={C} />
+          <SliderRow label="Nozzle" value={nozzle} min={0.1} max={1.2} step={0.05} onChange={setNozzle} defaultValue={DEFAULT_NOZZLE} C={C} />
+          {printIssues.length > 0
+            ? <IssueList issues={printIssues} C={C} />
+            : <div style={{ fontSize: 10, color: C.muted, marginTop: -4 }}>No problems found for this nozzle.</div>}
+
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 20, flexWrap: "wrap" }}>
+            {[["Copy link", copyLink], ["Save design", () => download(designToJSON(design), `${suggestedName}.keychain.json`, "application/json")], ["Open design…", () => designInputRef.current?.click()], ["Library…", () => setLibraryOpen(true)]].map(([label, onClick]) => (
+              <button key={label} onClick={onClick}
+                style={{ fontSize: 10, fontWeight: 600, color: C.accent, background: C.pill, border: "none", borderRadius: 8, padding: "4px 9px", cursor: "pointer", fontFamily: "inherit" }}>
+                {label}
+              </button>
+            ))}
+            <input ref={designInputRef} type="file" accept=".json,application/json" style={{ display: "none" }}
+              onChange={e => { const f = e.target.files[0]; e.target.value = ""; if (f) openDesignFile(f); }} />
+          </div>
+          {designNote && <div style={{ fontSize: 10, color: designNote.error ? "#f87171" : C.muted, marginTop: 6, lineHeight: 1.5 }}>{designNote.text}</div>}
 
           <button onClick={resetAll}
             onMouseEnter={e => { e.currentTarget.style.borderColor = C.accent; e.currentTarget.style.color = C.accent; }}
             onMouseLeave={e => { e.currentTarget.style.borderColor = anyDirty ? C.accent : C.border; e.currentTarget.style.color = anyDirty ? C.accent : C.muted; }}
-            style={{ width: "100%", marginTop: 20, marginBottom: 10, display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "9px 0", borderRadius: 12, background: anyDirty ? C.pill : "none", border: `1.5px solid ${anyDirty ? C.accent : "transparent"}`, color: anyDirty ? C.accent : C.muted, fontSize: 11, fontWeight: 600, fontFamily: "inherit", cursor: "pointer", transition: "all 0.2s" }}>
+            style={{ width: "100%", marginTop: 12, marginBottom: 10, display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "9px 0", borderRadius: 12, background: anyDirty ? C.pill : "none", border: `1.5px solid ${anyDirty ? C.accent : "transparent"}`, color: anyDirty ? C.accent : C.muted, fontSize: 11, fontWeight: 600, fontFamily: "inherit", cursor: "pointer", transition: "all 0.2s" }}>
             ↺ Reset all settings
           </button>
 
-          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10, marginBottom: 12 }}>
-            {[{ label: "STL", format: "STL", grad: `linear-gradient(135deg,#fda4af,#f472b6)`, note: "geometry only" },
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8, marginBottom: 12 }}>
+            {[{ label: "STL", format: "STL", grad: `linear-gradient(135deg,#fda4af,#f472b6)`, note: "one body or split" },
+              { label: "3MF", format: "3MF", grad: `linear-gradient(135deg,#f9a8d4,#c084fc)`, note: "parts + colors" },
               { label: "OBJ", format: "OBJ", grad: `linear-gradient(135deg,#c4b5fd,#a78bfa)`, note: "with colors" }
             ].map(({ label, format, grad, note }) => (
               <div key={format} style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 4 }}>
-                <button onClick={() => fontsReady && !exporting && setExportModal(format)} disabled={!fontsReady || exporting}
-                  onMouseEnter={e => fontsReady && !exporting && (e.currentTarget.style.transform = "translateY(-1px)")}
+                <button onClick={() => fontReady && !exporting && setExportModal(format)} disabled={!fontReady || exporting}
+                  onMouseEnter={e => fontReady && !exporting && (e.currentTarget.style.transform = "translateY(-1px)")}
                   onMouseLeave={e => (e.currentTarget.style.transform = "none")}
-                  style={{ width: "100%", padding: "11px 0 9px", fontSize: 11, fontWeight: 700, fontFamily: "inherit", letterSpacing: "0.06em", textTransform: "uppercase", background: fontsReady && !exporting ? grad : C.trackBg, color: fontsReady && !exporting ? "white" : C.muted, border: "none", borderRadius: 14, cursor: fontsReady && !exporting ? "pointer" : "not-allowed", boxShadow: fontsReady && !exporting ? `0 4px 14px ${C.shadow}` : "none", transition: "all 0.2s" }}>
+                  style={{ width: "100%", padding: "11px 0 9px", fontSize: 11, fontWeight: 700, fontFamily: "inherit", letterSpacing: "0.06em", textTransform: "uppercase", background: fontReady && !exporting ? grad : C.trackBg, color: fontReady && !exporting ? "white" : C.muted, border: "none", borderRadius: 14, cursor: fontReady && !exporting ? "pointer" : "not-allowed", boxShadow: fontReady && !exporting ? `0 4px 14px ${C.shadow}` : "none", transition: "all 0.2s" }}>
                   Export {label}
                 </button>
                 <span style={{ fontSize: 9, color: C.muted }}>{note}</span>
@@ -703,6 +1708,15 @@ export default function App() {
             ))}
           </div>
 
+          <button onClick={() => setBatchOpen(true)}
+            onMouseEnter={e => { e.currentTarget.style.borderColor = C.accent; e.currentTarget.style.color = C.accent; }}
+            onMouseLeave={e => { e.currentTarget.style.borderColor = C.border; e.currentTarget.style.color = C.muted; }}
+            style={{ width: "100%", marginBottom: 12, padding: "8px 0", borderRadius: 12, background: "none", border: `1.5px solid ${C.border}`, color: C.muted, fontSize: 11, fontWeight: 600, fontFamily: "inherit", cursor: "pointer", transition: "all 0.2s" }}>
+            Batch export from a list…
+          </button>
+
+          {exportError && <div style={{ fontSize: 10, color: "#f87171", marginBottom: 12, lineHeight: 1.5 }}>{exportError}</div>}
+
           {/* Status badge */}
           <div style={{ display: "flex", alignItems: "center", justifyContent: "center", gap: 6, padding: "6px 12px", borderRadius: 20, background: C.pill }}>
             <span style={{ width: 7, height: 7, borderRadius: "50%", background: statusColor, animation: isBuilding ? "kc-pulse 1s ease-in-out infinite" : "none", flexShrink: 0 }} />
@@ -713,9 +1727,25 @@ export default function App() {
         {/* ── Viewport Panel ── */}
         <div style={{ position: "relative", display: "flex", flexDirection: "column", minHeight: 0, overflow: "hidden" }}>
           <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: "10px 16px", borderBottom: `1px solid ${C.border}`, flexShrink: 0 }}>
-            <span style={{ fontSize: 10, fontWeight: 600, letterSpacing: "0.1em", textTransform: "uppercase", color: C.muted }}>3D Preview</span>
+            <span style={{ fontSize: 10, fontWeight: 600, letterSpacing: "0.1em", textTransform: "uppercase", color: C.muted }}>{plateOpen ? "Build Plate" : "3D Preview"}</span>
             <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
               <span style={{ fontSize: 10, color: C.muted }}>drag to rotate · scroll to zoom</span>
+              <button onClick={() => setPlateOpen(o => !o)}
+                style={{ fontSize: 10, color: plateOpen ? C.accent : C.muted, background: plateOpen ? C.pill : "none", border: `1px solid ${plateOpen ? C.accent : C.border}`, borderRadius: 8, padding: "3px 8px", cursor: "pointer", fontFamily: "inherit", transition: "all 0.15s" }}>
+                {plateOpen ? "← Single keychain" : "▦ Build plate"}
+              </button>
+              {!plateOpen && (
+                <button onClick={() => setShowDims(v => !v)} title="Show width and height in the preview"
+                  style={{ fontSize: 10, color: showDims ? C.accent : C.muted, background: showDims ? C.pill : "none", border: `1px solid ${showDims ? C.accent : C.border}`, borderRadius: 8, padding: "3px 8px", cursor: "pointer", fontFamily: "inherit", transition: "all 0.15s" }}>
+                  ↔ Dimensions
+                </button>
+              )}
+              {[["↶", "Undo (Ctrl+Z)", undo, canUndo], ["↷", "Redo (Ctrl+Shift+Z)", redo, canRedo]].map(([label, title, onClick, enabled]) => (
+                <button key={label} onClick={onClick} disabled={!enabled} title={title}
+                  style={{ fontSize: 12, lineHeight: 1, color: enabled ? C.accent : C.muted, background: "none", border: `1px solid ${C.border}`, borderRadius: 8, padding: "3px 8px", cursor: enabled ? "pointer" : "not-allowed", opacity: enabled ? 1 : 0.5, fontFamily: "inherit" }}>
+                  {label}
+                </button>
+              ))}
               <button onClick={resetCamera}
                 onMouseEnter={e => { e.currentTarget.style.borderColor = C.accent; e.currentTarget.style.color = C.accent; }}
                 onMouseLeave={e => { e.currentTarget.style.borderColor = C.border; e.currentTarget.style.color = C.muted; }}
@@ -725,16 +1755,37 @@ export default function App() {
             </div>
           </div>
           <div ref={canvasRef} style={{ flex: 1, minHeight: 0, overflow: "hidden" }} />
+          {plateOpen && (
+            <PlatePanel fonts={batchFonts} bed={plateBed} onBed={setPlateBed} onArrange={arrangePlate} onExport={exportPlateFile} layout={plateLayout} C={C} />
+          )}
         </div>
       </div>
 
+      {libraryOpen && (
+        <LibraryModal presets={library.presets} designs={library.designs} C={C}
+          onApplyPreset={applyPreset} onLoadDesign={loadLibraryDesign} onSave={saveToLibrary}
+          onRename={renameInLibrary} onDuplicate={duplicateInLibrary} onDelete={deleteFromLibrary}
+          onClose={() => setLibraryOpen(false)} />
+      )}
+
+      {batchOpen && <BatchModal fonts={batchFonts} onRun={runBatchExport} onClose={() => setBatchOpen(false)} C={C} />}
+
       {exportModal && (
-        <ExportModal defaultName={suggestedName} format={exportModal}
+        <ExportModal defaultName={suggestedName} format={exportModal} colorChangeZ={textMode === "raised" ? borderHeight : null} issues={printIssues}
           onCancel={() => setExportModal(null)}
-          onConfirm={filename => {
-            if (exportModal === "STL") doExportSTL(filename);
-            else doExportOBJ(filename);
+          onConfirm={(filename, opts) => {
             setExportModal(null);
+            setExportError(null);
+            setExporting(true);
+            // let the status badge paint before the export blocks the thread
+            setTimeout(() => {
+              try {
+                if (exportModal === "STL") doExportSTL(filename, opts);
+                else if (exportModal === "3MF") doExport3MF(filename);
+                else doExportOBJ(filename);
+              } catch (e) { console.error(e); setExportError(e.message); }
+              setExporting(false);
+            }, 30);
           }} C={C} />
       )}
     </div>
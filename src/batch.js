@@ -0,0 +1,165 @@
+import { normalizeText, safeFilename } from "./text.js";
+import { exportOutline, toZip } from "./exporters.js";
+
+// Batch generation: one keychain per entry of a pasted list or CSV, all with the
+// current settings, zipped together. Builds run in a worker of their own so the
+// live preview keeps working meanwhile.
+
+const HEX_RE = /^#?[0-9a-fA-F]{6}$/;
+
+// Header names accepted for each column, compared without case, spaces or underscores
+const COLUMNS = {
+  name: ["name", "text"],
+  font: ["font"],
+  textColor: ["textcolor", "color", "colour"],
+  borderColor: ["bordercolor", "basecolor", "border", "base"],
+};
+
+// Splits one CSV line; quoted fields may hold commas and doubled quotes
+function csvCells(line) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cur); cur = ""; }
+    else cur += ch;
+  }
+  cells.push(cur);
+  return cells.map(c => c.trim());
+}
+
+const hex = v => v && HEX_RE.test(v) ? `#${v.replace(/^#/, "").toLowerCase()}` : null;
+
+/**
+ * Parses a plain list (one name per line) or a CSV whose first row names its columns:
+ * name plus optional font, text color and border color. Font cells are matched
+ * against fonts [{ key, label }] by key, label or family name.
+ * Returns { entries: [{ line, name, font?, textColor?, borderColor? }], errors: [{ line, name, reason }] }.
+ */
+export function parseBatch(source, fonts, { maxLines, maxLineChars }) {
+  const rows = source.split(/\r?\n/).map((raw, i) => ({ raw, line: i + 1 })).filter(r => r.raw.trim());
+  if (!rows.length) return { entries: [], errors: [] };
+  const header = csvCells(rows[0].raw).map(c => c.toLowerCase().replace(/[\s_-]/g, ""));
+  const col = Object.fromEntries(Object.entries(COLUMNS).map(([k, names]) => [k, header.findIndex(h => names.includes(h))]));
+  const isCsv = col.name >= 0;
+  const fontFor = v => {
+    const q = v.toLowerCase();
+    return fonts.find(f => f.key.toLowerCase() === q || f.label.toLowerCase() === q || f.key.split(":")[0].toLowerCase() === q)?.key;
+  };
+  const entries = [], errors = [];
+  for (const { raw, line } of isCsv ? rows.slice(1) : rows) {
+    const cells = isCsv ? csvCells(raw) : [raw.trim()];
+    const cell = k => isCsv && col[k] >= 0 ? cells[col[k]] ?? "" : "";
+    const name = normalizeText(isCsv ? cell("name") : cells[0], maxLines, maxLineChars).trim();
+    if (!name) { errors.push({ line, name: raw.trim(), reason: "No name" }); continue; }
+    const entry = { line, name };
+    if (cell("font")) {
+      entry.font = fontFor(cell("font"));
+      if (!entry.font) { errors.push({ line, name, reason: `Unknown font "${cell("font")}"` }); continue; }
+    }
+    for (const k of ["textColor", "borderColor"]) {
+      if (!cell(k)) continue;
+      entry[k] = hex(cell(k));
+      if (!entry[k]) { errors.push({ line, name, reason: `"${cell(k)}" is not a #rrggbb color` }); break; }
+    }
+    if (errors.at(-1)?.line !== line) entries.push(entry);
+  }
+  return { entries, errors };
+}
+
+/**
+ * A geometry worker of its own that builds one request at a time. build(font, params)
+ * loads the font on first use and resolves to the worker's reply, rejecting with a
+ * readable message when the font or the build fails.
+ */
+export function openBuilder(fontBuffer) {
+  const worker = new Worker(new URL("./clipperWorker.js", import.meta.url), { type: "module" });
+  const waiting = new Map(); // id or "font:key" -> resolve
+  worker.onmessage = e => {
+    const msg = e.data, key = msg.type === "font" ? `font:${msg.key}` : msg.id;
+    waiting.get(key)?.(msg);
+    waiting.delete(key);
+  };
+  const ask = (key, msg) => new Promise(resolve => { waiting.set(key, resolve); worker.postMessage(msg); });
+  const fontState = new Map(); // key -> Promise<error message | null>
+  const ensureFont = key => {
+    if (!fontState.has(key)) {
+      fontState.set(key, fontBuffer(key)
+        .then(buffer => ask(`font:${key}`, { type: "font", key, buffer }))
+        .then(msg => msg.error ?? null, e => e.message));
+    }
+    return fontState.get(key);
+  };
+  let nextId = 0;
+  return {
+    async build(font, params, { outlineOnly = false } = {}) {
+      const fontError = await ensureFont(font);
+      if (fontError) throw new Error(`Font ${font.split(":")[0]} failed to load: ${fontError}`);
+      const id = ++nextId;
+      const msg = await ask(id, { type: "build", id, font, params, outlineOnly });
+      if (msg.error) throw new Error(msg.error);
+      if (msg.empty) throw new Error("This font draws none of its characters");
+      return msg;
+    },
+    close() { worker.terminate(); },
+  };
+}
+
+// Unique file names per entry: "Ana", "Ana-2", ...
+function uniqueNames(entries) {
+  const seen = new Map();
+  return entries.map(e => {
+    const base = safeFilename(e.name.split("\n").join("_"));
+    const n = (seen.get(base.toLowerCase()) ?? 0) + 1;
+    seen.set(base.toLowerCase(), n);
+    return n === 1 ? base : `${base}-${n}`;
+  });
+}
+
+/**
+ * Builds and exports every entry in turn. params are the build parameters minus the
+ * text; colors { borderColor, textColor, iconColor|null } are the defaults entries
+ * may override (a null iconColor follows the text color). fontBuffer(key) resolves
+ * to a font file's ArrayBuffer. onProgress(done, total) is called after each entry;
+ * isCancelled() is checked between entries. rejected lists entries the parser
+ * already refused, so they show up in the same report.
+ * Resolves to { zip, built, failures: [{ line, name, reason }], warnings }, where
+ * zip also holds a report.txt when anything failed or lost characters.
+ */
+export async function runBatch({ entries, rejected = [], defaultFont, params, colors, format, fontBuffer, onProgress, isCancelled }) {
+  const builder = openBuilder(fontBuffer);
+  const names = uniqueNames(entries);
+  const files = {}, failures = [...rejected], warnings = [];
+  try {
+    for (let i = 0; i < entries.length; i++) {
+      if (isCancelled?.()) break;
+      const entry = entries[i], font = entry.font ?? defaultFont;
+      try {
+        const msg = await builder.build(font, { ...params, text: entry.name }, { outlineOnly: true });
+        if (msg.missing?.length) warnings.push({ line: entry.line, name: entry.name, reason: `Skipped characters: ${msg.missing.join(" ")}` });
+        Object.assign(files, exportOutline(msg.outline, format, {
+          borderColor: entry.borderColor ?? colors.borderColor,
+          textColor: entry.textColor ?? colors.textColor,
+          iconColor: colors.iconColor ?? entry.textColor ?? colors.textColor,
+        }, names[i]));
+      } catch (e) {
+        failures.push({ line: entry.line, name: entry.name, reason: e.message });
+      }
+      onProgress?.(i + 1, entries.length);
+      // give the page a moment to paint the progress
+      await new Promise(r => setTimeout(r, 0));
+    }
+  } finally { builder.close(); }
+
+  const report = [...failures.map(f => ({ ...f, kind: "FAILED" })), ...warnings.map(w => ({ ...w, kind: "warning" }))]
+    .sort((a, b) => a.line - b.line)
+    .map(r => `line ${r.line}\t${r.kind}\t${r.name.replace(/\n/g, " / ")}\t${r.reason}`);
+  const built = Object.keys(files).length;
+  if (report.length) files["report.txt"] = report.join("\n") + "\n";
+  return { zip: built ? toZip(files) : null, built, failures, warnings };
+}
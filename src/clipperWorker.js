@@ -1,70 +1,108 @@
-import ClipperLib from "clipper-lib";
+import opentype from "opentype.js";
+import { buildKeychain, geoToBuffers, signedArea } from "./geometry.js";
+import { bodySolid, raisedSolid, markLoops } from "./solid.js";
+import { findMissingGlyphs } from "./text.js";
+import { checkPrintability } from "./printability.js";
 
-const SCALE = 1000;
+const fonts = new Map(); // key -> opentype.Font
 
-function toClipperPath(path) {
-  return path.map(([x, y]) => ({
-    X: Math.round(x * SCALE),
-    Y: Math.round(y * SCALE),
-  }));
-}
-
-function fromClipperPaths(paths) {
-  return paths.map((poly) => poly.map((p) => [p.X / SCALE, p.Y / SCALE]));
-}
-
-function offsetAndUnion(allPaths, deltaMm) {
-  const subj = allPaths.map(toClipperPath);
+// worker-side cache of finished builds
+const cache = new Map(); // key -> result
+// printability issues per build and nozzle, so a new nozzle needs no rebuild
+const checked = new WeakMap(); // result -> Map(nozzle -> issues)
 
-  // Offset
-  const co = new ClipperLib.ClipperOffset(
-    2,
-    0.75 * SCALE // smoother + faster than tiny tolerance
-  );
+// Only the newest build request is kept; anything queued behind it is dropped
+let pending = null;
+let scheduled = false;
 
-  co.AddPaths(
-    subj,
-    ClipperLib.JoinType.jtRound,
-    ClipperLib.EndType.etClosedPolygon
-  );
+// Flat-shaded buffers of a welded solid, for the preview
+function solidBuffers(geo) {
+  if (!geo) return null;
+  const flat = geo.toNonIndexed();
+  flat.computeVertexNormals();
+  const buffers = geoToBuffers(flat);
+  geo.dispose(); flat.dispose();
+  return buffers;
+}
 
-  const offsetOut = new ClipperLib.Paths();
-  co.Execute(offsetOut, deltaMm * SCALE);
+// outlineOnly skips the preview meshes, for callers that only export
+function build({ font, params, outlineOnly }) {
+  const otFont = fonts.get(font);
+  if (!otFont) throw new Error(`Font "${font}" is not loaded`);
+  const missing = findMissingGlyphs(otFont, params.text);
+  const built = buildKeychain(otFont, params);
+  if (!built) return { empty: true, missing };
+  const { text, bounds, outline } = built;
+  if (outlineOnly) { text?.dispose(); return { outline, missing }; }
+  // the preview shows the same fused body that export builds, tabs and engraving included
+  const result = {
+    parts: {
+      body: solidBuffers(bodySolid(outline)),
+      text: outline.mode !== "raised" ? null
+        // outline-only strokes have no extruded mesh; their solid is dropped to z = 0 like one
+        : text ? geoToBuffers(text) : solidBuffers(raisedSolid(outline, outline.text)?.translate(0, 0, -outline.baseTop)),
+      icon: solidBuffers(raisedSolid(outline, outline.icon)),
+    },
+    bounds: { min: bounds.min.toArray(), max: bounds.max.toArray() },
+    outline,
+    // more than one outer loop means the base would print as separate parts
+    pieces: outline.base.filter(l => signedArea(l) > 0).length,
+    // counters of letters like O or A fall out of a cut-through tag
+    loose: outline.mode === "cut" ? markLoops(outline).filter(l => signedArea(l) < 0).length : 0,
+    missing,
+  };
+  text?.dispose();
+  return result;
+}
 
-  // Union
-  const c = new ClipperLib.Clipper();
-  c.AddPaths(offsetOut, ClipperLib.PolyType.ptSubject, true);
+function withIssues(result, nozzle) {
+  if (!result.outline) return result;
+  if (!checked.has(result)) checked.set(result, new Map());
+  const byNozzle = checked.get(result);
+  if (!byNozzle.has(nozzle)) byNozzle.set(nozzle, checkPrintability(result.outline, { nozzle }));
+  return { ...result, issues: byNozzle.get(nozzle) };
+}
 
-  const solution = new ClipperLib.Paths();
-  c.Execute(
-    ClipperLib.ClipType.ctUnion,
-    solution,
-    ClipperLib.PolyFillType.pftNonZero,
-    ClipperLib.PolyFillType.pftNonZero
-  );
+function runPending() {
+  scheduled = false;
+  const job = pending;
+  pending = null;
+  if (!job) return;
+  const key = JSON.stringify([job.font, job.params, !!job.outlineOnly]);
 
-  return fromClipperPaths(solution);
+  try {
+    let result = cache.get(key);
+    if (!result) {
+      result = build(job);
+      // keep cache bounded
+      if (cache.size > 25) cache.clear();
+      cache.set(key, result);
+    }
+    self.postMessage({ id: job.id, ...(job.outlineOnly ? result : withIssues(result, job.nozzle)) });
+  } catch (err) {
+    self.postMessage({ id: job.id, error: err?.message || String(err) });
+  }
 }
 
-// optional: worker-side cache
-const cache = new Map(); // key -> polygons
-
 self.onmessage = (e) => {
-  const { key, paths, delta } = e.data;
+  const msg = e.data;
 
-  if (cache.has(key)) {
-    self.postMessage({ key, polygons: cache.get(key) });
+  if (msg.type === "font") {
+    try {
+      fonts.set(msg.key, opentype.parse(msg.buffer));
+      cache.clear();
+      self.postMessage({ type: "font", key: msg.key });
+    } catch (err) {
+      self.postMessage({ type: "font", key: msg.key, error: err?.message || String(err) });
+    }
     return;
   }
 
-  try {
-    const polygons = offsetAndUnion(paths, delta);
-    // keep cache bounded
-    if (cache.size > 25) cache.clear();
-    cache.set(key, polygons);
-
-    self.postMessage({ key, polygons });
-  } catch (err) {
-    self.postMessage({ key, error: err?.message || String(err) });
+  if (msg.type === "build") {
+    pending = msg;
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(runPending, 0);
+    }
   }
 };
@@ -0,0 +1,45 @@
+import opentype from "opentype.js";
+import { database } from "./idb.js";
+
+// User-uploaded fonts, kept across reloads in IndexedDB as { key, label, buffer }
+const STORE = "fonts";
+const fontsDb = database("keychain_fonts_v1", { [STORE]: "key" });
+const withStore = (mode, fn) => fontsDb(STORE, mode, fn);
+
+export const FONT_FILE_RE = /\.(ttf|otf|woff)$/i;
+
+export async function loadCustomFonts() {
+  try { return (await withStore("readonly", s => s.getAll())) ?? []; } catch { return []; }
+}
+
+export async function saveCustomFont(entry) {
+  try { await withStore("readwrite", s => s.put(entry)); return true; } catch { return false; }
+}
+
+export async function deleteCustomFont(key) {
+  try { await withStore("readwrite", s => s.delete(key)); } catch { /* nothing stored */ }
+}
+
+// A font is only useful if its mapped glyphs actually carry outlines (not bitmap/color-only)
+function hasOutlines(font) {
+  for (let i = 0; i < Math.min(font.glyphs.length, 512); i++) {
+    const g = font.glyphs.get(i);
+    if (g.unicode !== undefined && g.path?.commands?.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Reads and validates an uploaded font file. Resolves to { key, label, buffer };
+ * rejects with a message fit for the UI when the file can't be used.
+ */
+export async function readFontFile(file) {
+  if (!FONT_FILE_RE.test(file.name)) throw new Error(`${file.name}: only .ttf, .otf and .woff files are supported`);
+  const buffer = await file.arrayBuffer();
+  let font;
+  try { font = opentype.parse(buffer); } catch (e) { throw new Error(`${file.name}: ${e.message}`); }
+  if (!hasOutlines(font)) throw new Error(`${file.name}: this font has no drawable outlines`);
+  const family = font.getEnglishName("fontFamily") || file.name.replace(FONT_FILE_RE, "");
+  const style = font.getEnglishName("fontSubfamily") || "Regular";
+  return { key: `${family}:style=${style}`, label: style === "Regular" ? family : `${family} ${style}`, buffer };
+}
@@ -0,0 +1,211 @@
+import { zlibSync, unzlibSync, strToU8, strFromU8 } from "fflate";
+import { TEXT_MODES, TEXT_STYLES, ARCS, BASE_SHAPES, EDGE_PROFILES } from "./geometry.js";
+
+// Saved designs: every setting of the editor as one versioned JSON object, for
+// files and for the URL hash. Older versions are migrated on load.
+
+export const DESIGN_VERSION = 1;
+export const DESIGN_FILE_RE = /\.json$/i;
+const HASH_KEY = "design";
+
+// Every setting's starting value; uploaded outlines (svgOutline, icon) start out null
+export const DEFAULTS = {
+  name: "Name",
+  font: "Bhineka:style=Regular",
+  textCapHeight: 20,
+  textHeight: 3.0,
+  borderHeight: 2.0,
+  borderOffset: 3.0,
+  baseShape: "contour",
+  cornerRadius: 3.0,
+  gap: 0,
+  tabDiameter: 8.0,
+  holeDiameter: 4.0,
+  tabAngle: 180,
+  secondTab: false,
+  secondTabAngle: 0,
+  filletRadius: 1.5,
+  textAlign: "center",
+  lineSpacing: 1.25,
+  letterSpacing: 0,
+  kerning: {}, // "AV" -> extra mm between that pair
+  arc: "none",
+  arcRadius: 60,
+  textStyle: "filled",
+  strokeWidth: 1.2,
+  textMode: "raised",
+  engraveDepth: 1.0,
+  edgeProfile: "chamfer",
+  textEdge: 0,
+  baseTopEdge: 0,
+  baseBottomEdge: 0,
+  iconSide: "left",
+  iconSize: 12,
+  iconRotation: 0,
+  iconX: 0,
+  iconY: 0,
+  iconColorMode: "text",
+  iconColor: "#fcd34d",
+  borderColor: "#f9a8d4",
+  textColor: "#c084fc",
+};
+
+const num = (min, max) => ({ type: "number", min, max });
+const oneOf = (...values) => ({ type: "enum", values });
+const COLOR = { type: "color" };
+const OUTLINE = { type: "outline" };
+const KERNING = { type: "kerning", min: -5, max: 5 };
+
+// Ranges follow the editor's sliders
+const FIELDS = {
+  name: { type: "string", max: 200 },
+  font: { type: "string", max: 200 },
+  textCapHeight: num(8, 60),
+  textHeight: num(0.5, 10),
+  borderHeight: num(0.5, 8),
+  borderOffset: num(0, 15),
+  baseShape: oneOf(...BASE_SHAPES),
+  cornerRadius: num(0, 20),
+  gap: num(-5, 10),
+  tabDiameter: num(4, 20),
+  holeDiameter: num(1, 10),
+  tabAngle: num(0, 359),
+  secondTab: { type: "boolean" },
+  secondTabAngle: num(0, 359),
+  filletRadius: num(0, 5),
+  textAlign: oneOf("left", "center", "right"),
+  lineSpacing: num(1, 3),
+  letterSpacing: num(-5, 10),
+  kerning: KERNING,
+  arc: oneOf(...ARCS),
+  arcRadius: num(15, 300),
+  textStyle: oneOf(...TEXT_STYLES),
+  strokeWidth: num(0.4, 5),
+  textMode: oneOf(...TEXT_MODES),
+  engraveDepth: num(0.2, 8),
+  edgeProfile: oneOf(...EDGE_PROFILES),
+  textEdge: num(0, 10),
+  baseTopEdge: num(0, 3),
+  baseBottomEdge: num(0, 2),
+  iconSide: oneOf("left", "right", "above", "below"),
+  iconSize: num(3, 60),
+  iconRotation: num(-180, 180),
+  iconX: num(-30, 30),
+  iconY: num(-30, 30),
+  iconColorMode: oneOf("text", "own"),
+  iconColor: COLOR,
+  borderColor: COLOR,
+  textColor: COLOR,
+  svgOutline: OUTLINE,
+  icon: OUTLINE,
+};
+
+// MIGRATIONS[v] turns a version v design into version v + 1
+const MIGRATIONS = {
+  // unversioned designs came from the first editor, whose tab slid up and down the
+  // left side; the tab now snaps to the border, so the offset has no equivalent
+  0: d => {
+    const { tabYOffset: _tabYOffset, ...rest } = d;
+    return { ...rest, tabAngle: rest.tabAngle ?? 180 };
+  },
+};
+
+const isPoint = q => Array.isArray(q) && q.length === 2 && q.every(Number.isFinite);
+
+function fieldError(key, value, field) {
+  switch (field.type) {
+    case "number":
+      if (!Number.isFinite(value)) return `${key} must be a number`;
+      if (value < field.min || value > field.max) return `${key} must be between ${field.min} and ${field.max}`;
+      return null;
+    case "string":
+      if (typeof value !== "string") return `${key} must be text`;
+      return value.length > field.max ? `${key} is too long` : null;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${key} must be true or false`;
+    case "enum":
+      return field.values.includes(value) ? null : `${key} must be one of ${field.values.join(", ")}`;
+    case "color":
+      return typeof value === "string" && /^#[0-9a-fA-F]{6}$/.test(value) ? null : `${key} must be a #rrggbb color`;
+    case "outline":
+      if (value === null) return null;
+      if (typeof value !== "object" || typeof value.name !== "string" || !Array.isArray(value.loops)) return `${key} must be { name, loops } or null`;
+      return value.loops.every(l => Array.isArray(l) && l.length >= 3 && l.every(isPoint)) ? null : `${key} has a malformed outline`;
+    case "kerning":
+      // { "AV": -0.5, ... }: two characters to extra mm between them
+      if (!value || typeof value !== "object" || Array.isArray(value)) return `${key} must map letter pairs to millimeters`;
+      for (const [pair, mm] of Object.entries(value)) {
+        if (Array.from(pair).length !== 2) return `${key} has "${pair}", which is not a pair of letters`;
+        if (!Number.isFinite(mm) || mm < field.min || mm > field.max) return `${key} for "${pair}" must be between ${field.min} and ${field.max}`;
+      }
+      return null;
+  }
+  return null;
+}
+
+/**
+ * Checks a parsed design object and brings it up to DESIGN_VERSION. Returns only
+ * the settings it holds, so callers fill the rest with their defaults. Throws with
+ * a message fit for the UI when anything is wrong.
+ */
+export function validateDesign(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not a keychain design");
+  let version = data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) throw new Error("The design has an invalid version");
+  if (version > DESIGN_VERSION) throw new Error(`This design was made with a newer version of the app (v${version})`);
+  let d = data.settings;
+  if (!d || typeof d !== "object" || Array.isArray(d)) throw new Error("Not a keychain design");
+  for (; version < DESIGN_VERSION; version++) d = MIGRATIONS[version](d);
+  const out = {}, errors = [];
+  for (const [key, field] of Object.entries(FIELDS)) {
+    if (!(key in d)) continue;
+    const err = fieldError(key, d[key], field);
+    if (err) errors.push(err); else out[key] = d[key];
+  }
+  if (errors.length) throw new Error(`Invalid design: ${errors.join("; ")}`);
+  return out;
+}
+
+// The stored form: { app, version, settings }
+function designData(design) {
+  const settings = Object.fromEntries(Object.keys(FIELDS).filter(k => k in design).map(k => [k, design[k]]));
+  return { app: "Keychain Generator", version: DESIGN_VERSION, settings };
+}
+
+export const designToJSON = design => JSON.stringify(designData(design), null, 2);
+
+export function parseDesignJSON(source) {
+  let data;
+  try { data = JSON.parse(source); } catch { throw new Error("The file is not valid JSON"); }
+  // unversioned files may hold the settings at the top level
+  return validateDesign(data?.settings || data?.version ? data : { settings: data });
+}
+
+/**
+ * Reads an uploaded design file. Resolves to its settings; rejects with a message
+ * fit for the UI when it can't be used.
+ */
+export async function readDesignFile(file) {
+  if (!DESIGN_FILE_RE.test(file.name)) throw new Error(`${file.name}: only .json design files are supported`);
+  try { return parseDesignJSON(await file.text()); } catch (e) { throw new Error(`${file.name}: ${e.message}`); }
+}
+
+// URL hash form: the compressed JSON as base64url
+export function designToHash(design) {
+  const bytes = zlibSync(strToU8(JSON.stringify(designData(design))), { level: 9 });
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return `${HASH_KEY}=${btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+}
+
+// Settings from a location.hash, or null when it carries no design
+export function designFromHash(hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!value) return null;
+  let source;
+  try {
+    const bin = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    source = strFromU8(unzlibSync(Uint8Array.from(bin, c => c.charCodeAt(0))));
+  } catch { throw new Error("The design link is damaged or incomplete"); }
+  return parseDesignJSON(source);
+}
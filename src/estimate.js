@@ -0,0 +1,49 @@
+import { signedArea } from "./geometry.js";
+import { nestLoops, unionLayers } from "./solid.js";
+
+// Volume and filament estimates from a build's outline. The model is a stack of
+// prisms, so volume is exact; what a slicer lays down is approximated as solid
+// walls and top/bottom skins around sparse infill.
+
+export const MATERIALS = [
+  { value: "PLA", density: 1.24 },
+  { value: "PETG", density: 1.27 },
+  { value: "ABS", density: 1.04 },
+  { value: "ASA", density: 1.07 },
+  { value: "TPU", density: 1.21 },
+];
+
+const FILAMENT_DIAMETER = 1.75;
+const WALL_LINES = 2;
+// top and bottom skins, as three 0.2 mm layers each
+const SKIN = 0.6;
+
+const loopLength = l => l.reduce((s, [x, y], i) => {
+  const [nx, ny] = l[(i + 1) % l.length];
+  return s + Math.hypot(nx - x, ny - y);
+}, 0);
+
+/**
+ * { volume, shell } in mm³: the solid's volume and how much of it prints solid
+ * (walls of WALL_LINES nozzle widths plus top and bottom skins) for this nozzle.
+ */
+export function printStats(outline, { nozzle = 0.4 } = {}) {
+  let volume = 0, shell = 0;
+  for (const { loops, z0, z1 } of unionLayers(outline)) {
+    const h = z1 - z0;
+    const area = nestLoops(loops).reduce((a, { outer, holes }) => a + signedArea(outer) + holes.reduce((b, l) => b + signedArea(l), 0), 0);
+    const perimeter = loops.reduce((s, l) => s + loopLength(l), 0);
+    volume += area * h;
+    shell += Math.min(area * h, perimeter * WALL_LINES * nozzle * h + area * Math.min(h, 2 * SKIN));
+  }
+  return { volume, shell };
+}
+
+// Grams and meters of filament at an infill fraction (0..1) and density in g/cm³
+export function filamentUse({ volume, shell }, { infill, density }) {
+  const printed = shell + (volume - shell) * infill;
+  return {
+    grams: printed * density / 1000,
+    meters: printed / (Math.PI * (FILAMENT_DIAMETER / 2) ** 2) / 1000,
+  };
+}
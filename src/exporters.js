@@ -0,0 +1,155 @@
+import * as THREE from "three";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { zipSync, strToU8 } from "fflate";
+import { cleanGeo } from "./geometry.js";
+import { checkWatertight, solidParts, solidUnion } from "./solid.js";
+
+export function assertWatertight(geo, label) {
+  const r = checkWatertight(geo);
+  if (r.ok) return;
+  const issues = [
+    r.open && `${r.open} open edges`,
+    r.nonManifold && `${r.nonManifold} non-manifold edges`,
+    r.flipped && `${r.flipped} flipped faces`,
+  ].filter(Boolean).join(", ");
+  throw new Error(`${label} is not watertight (${issues}), so slicers may mis-print it. Try a larger Border Padding or another font.`);
+}
+
+export function toSTL(geos, { binary = true } = {}) {
+  const merged = mergeGeometries(geos, false);
+  if (!merged) return null;
+  const out = new STLExporter().parse(new THREE.Mesh(merged, new THREE.MeshNormalMaterial()), { binary });
+  merged.dispose();
+  return out;
+}
+
+/**
+ * Wavefront OBJ with one group per part and its .mtl, which the OBJ names as
+ * mtlName. parts: [{ name, material, geometry, color: "#rrggbb" }], geometry
+ * welded. Returns { obj, mtl } as text.
+ */
+export function toOBJ(parts, { mtlName }) {
+  const rgb = hex => [1, 3, 5].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(6)).join(" ");
+  const mtl = [`# Keychain Generator`, ...parts.flatMap(({ material, color }) =>
+    [``, `newmtl ${material}`, `Kd ${rgb(color)}`, `Ka ${rgb(color)}`, `Ks 0.05 0.05 0.05`, `Ns 10`, `d 1`, `illum 2`])];
+  // faces reference the welded vertices, so each group stays one closed mesh
+  const obj = [`# Keychain Generator`, `mtllib ${mtlName}`];
+  let off = 0;
+  for (const { name, material, geometry } of parts) {
+    const pos = geometry.attributes.position, idx = geometry.index;
+    obj.push(`g ${name}`, `usemtl ${material}`);
+    for (let i = 0; i < pos.count; i++) obj.push(`v ${pos.getX(i).toFixed(6)} ${pos.getY(i).toFixed(6)} ${pos.getZ(i).toFixed(6)}`);
+    for (let i = 0; i < idx.count; i += 3) obj.push(`f ${off + idx.getX(i) + 1} ${off + idx.getX(i + 1) + 1} ${off + idx.getX(i + 2) + 1}`);
+    off += pos.count;
+  }
+  return { obj: obj.join("\n"), mtl: mtl.join("\n") };
+}
+
+export const EXPORT_FORMATS = ["STL", "3MF", "OBJ"];
+
+/**
+ * One keychain's outline as files named after title: { "title.stl": data }, or
+ * the .obj and its .mtl. STL is the single merged solid; 3MF and OBJ keep base,
+ * text and icon as colored parts, with colors { borderColor, textColor, iconColor }.
+ * Throws when a solid would not be watertight.
+ */
+export function exportOutline(outline, format, colors, title) {
+  if (format === "STL") {
+    const solid = solidUnion(outline);
+    try {
+      assertWatertight(solid, "The keychain");
+      return { [`${title}.stl`]: toSTL([solid], { binary: true }) };
+    } finally { solid.dispose(); }
+  }
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown format "${format}"; use one of ${EXPORT_FORMATS.join(", ")}`);
+  const { body, text, icon } = solidParts(outline);
+  try {
+    assertWatertight(body, "The base");
+    if (text) assertWatertight(text, "The text");
+    if (icon) assertWatertight(icon, "The icon");
+    const parts = [
+      { name: "base_tab", material: "BorderColor", geometry: body, color: colors.borderColor },
+      text && { name: "text", material: "TextColor", geometry: text, color: colors.textColor },
+      icon && { name: "icon", material: "IconColor", geometry: icon, color: colors.iconColor },
+    ].filter(Boolean);
+    if (format === "3MF") return { [`${title}.3mf`]: to3MF(parts, { title }) };
+    const { obj, mtl } = toOBJ(parts, { mtlName: `${title}.mtl` });
+    return { [`${title}.obj`]: obj, [`${title}.mtl`]: mtl };
+  } finally { body.dispose(); text?.dispose(); icon?.dispose(); }
+}
+
+// Zip archive from { filename: string | ArrayBuffer | ArrayBufferView }
+export function toZip(files) {
+  const entries = {};
+  for (const [name, data] of Object.entries(files)) {
+    entries[name] = typeof data === "string" ? strToU8(data)
+      : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+  }
+  return zipSync(entries, { level: 6 });
+}
+
+const hex8 = c => `${c.toUpperCase()}FF`;
+const esc = s => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+
+function meshXml(geo) {
+  const g = geo.index ? geo : cleanGeo(geo);
+  const pos = g.attributes.position, idx = g.index;
+  const out = ["<mesh><vertices>"];
+  for (let i = 0; i < pos.count; i++) out.push(`<vertex x="${pos.getX(i).toFixed(5)}" y="${pos.getY(i).toFixed(5)}" z="${pos.getZ(i).toFixed(5)}"/>`);
+  out.push("</vertices><triangles>");
+  for (let i = 0; i < idx.count; i += 3) out.push(`<triangle v1="${idx.getX(i)}" v2="${idx.getX(i + 1)}" v3="${idx.getX(i + 2)}"/>`);
+  out.push("</triangles></mesh>");
+  if (g !== geo) g.dispose();
+  return out.join("");
+}
+
+/**
+ * 3MF package with one mesh object per part, each carrying its own display color,
+ * grouped under a single build item so slicers load them as parts of one object.
+ * Parts with a group key are split into one build item per distinct key instead,
+ * each named groupName (the title when left out), so equal names stay apart.
+ * parts: [{ name, geometry, color: "#rrggbb", group?, groupName? }]
+ */
+export function to3MF(parts, { title = "Keychain" } = {}) {
+  const matId = 1, firstObj = 2, asmId = firstObj + parts.length;
+  const groups = new Map(); // group key -> build item name
+  for (const p of parts) if (!groups.has(p.group)) groups.set(p.group, p.groupName ?? title);
+  const keys = [...groups.keys()];
+  const model = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">`,
+    `<metadata name="Title">${esc(title)}</metadata>`,
+    `<metadata name="Application">Keychain Generator</metadata>`,
+    `<resources>`,
+    `<basematerials id="${matId}">`,
+    ...parts.map(p => `<base name="${esc(p.name)}" displaycolor="${hex8(p.color)}"/>`),
+    `</basematerials>`,
+    ...parts.map((p, i) => `<object id="${firstObj + i}" name="${esc(p.name)}" type="model" pid="${matId}" pindex="${i}">${meshXml(p.geometry)}</object>`),
+    ...keys.flatMap((g, k) => [
+      `<object id="${asmId + k}" name="${esc(groups.get(g))}" type="model"><components>`,
+      ...parts.flatMap((p, i) => p.group === g ? [`<component objectid="${firstObj + i}"/>`] : []),
+      `</components></object>`,
+    ]),
+    `</resources>`,
+    `<build>${keys.map((g, k) => `<item objectid="${asmId + k}"/>`).join("")}</build>`,
+    `</model>`,
+  ].join("\n");
+  return zipSync({
+    "[Content_Types].xml": strToU8([
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`,
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`,
+      `<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>`,
+      `</Types>`,
+    ].join("\n")),
+    "_rels/.rels": strToU8([
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`,
+      `<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>`,
+      `</Relationships>`,
+    ].join("\n")),
+    "3D/3dmodel.model": strToU8(model),
+  }, { level: 6 });
+}
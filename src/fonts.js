@@ -0,0 +1,14 @@
+// Fonts that ship with the app, by key ("Family:style=Style") -> file in public/fonts
+export const BUNDLED_FONTS = {
+  "Pacifico:style=Regular": "Pacifico-Regular.ttf",
+  "Lobster:style=Regular": "Lobster-Regular.ttf",
+  "Titan One:style=Regular": "TitanOne-Regular.ttf",
+  "Luckiest Guy:style=Regular": "LuckiestGuy-Regular.ttf",
+  "Bhineka:style=Regular": "Bhineka-Regular.ttf",
+};
+
+// The bundled font key for a key or family name ("luckiest guy"), or null
+export function findFontKey(name) {
+  const want = name.trim().toLowerCase();
+  return Object.keys(BUNDLED_FONTS).find(k => k.toLowerCase() === want || k.split(":")[0].toLowerCase() === want) ?? null;
+}
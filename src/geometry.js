@@ -0,0 +1,491 @@
+import * as THREE from "three";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import ClipperLib from "clipper-lib";
+import opentype from "opentype.js";
+import { supportedText } from "./text.js";
+
+export const SCALE = 1000;
+export const toCP = p => p.map(([x, y]) => ({ X: Math.round(x * SCALE), Y: Math.round(y * SCALE) }));
+export const fromCP = p => p.map(v => [v.X / SCALE, v.Y / SCALE]);
+
+export function shapeToOuterPaths(shape, q = 60) {
+  const pts = shape.getPoints(q);
+  return pts.length >= 3 ? [pts.map(p => [p.x, p.y])] : [];
+}
+
+// Rounded joins stay within arcTolerance mm of true arcs
+export function offsetUnion(paths, delta, arcTolerance = 0.75) {
+  const co = new ClipperLib.ClipperOffset(2, arcTolerance * SCALE);
+  co.AddPaths(paths.map(toCP), ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+  const off = new ClipperLib.Paths();
+  co.Execute(off, delta * SCALE);
+  const c = new ClipperLib.Clipper();
+  c.AddPaths(off, ClipperLib.PolyType.ptSubject, true);
+  const sol = new ClipperLib.Paths();
+  c.Execute(ClipperLib.ClipType.ctUnion, sol, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  return sol.map(fromCP);
+}
+
+function clipperOp(type, subj, clip = []) {
+  const c = new ClipperLib.Clipper();
+  // no touching or collinear-overlapping loops, which would leave open edges in a mesh
+  c.StrictlySimple = true;
+  c.AddPaths(subj.map(toCP), ClipperLib.PolyType.ptSubject, true);
+  if (clip.length) c.AddPaths(clip.map(toCP), ClipperLib.PolyType.ptClip, true);
+  const sol = new ClipperLib.Paths();
+  c.Execute(type, sol, ClipperLib.PolyFillType.pftNonZero, ClipperLib.PolyFillType.pftNonZero);
+  return ClipperLib.Clipper.CleanPolygons(sol, 2).filter(l => l.length >= 3).map(fromCP);
+}
+
+// Boolean ops on polygon sets. Outer loops CCW and holes CW in, same out.
+export const polyUnion = (a, b = []) => clipperOp(ClipperLib.ClipType.ctUnion, a, b);
+export const polyDifference = (a, b) => clipperOp(ClipperLib.ClipType.ctDifference, a, b);
+export const polyIntersection = (a, b) => clipperOp(ClipperLib.ClipType.ctIntersection, a, b);
+
+export function signedArea(poly) {
+  let a = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const j = (i + 1) % poly.length;
+    a += poly[i][0] * poly[j][1];
+    a -= poly[j][0] * poly[i][1];
+  }
+  return a / 2;
+}
+
+export function ensureCCW(poly) {
+  return signedArea(poly) < 0 ? [...poly].reverse() : poly;
+}
+
+export function polysToShapes(polys) {
+  return polys.filter(p => p && p.length >= 3).map(p =>
+    new THREE.Shape(ensureCCW(p).map(([x, y]) => new THREE.Vector2(x, y)))
+  );
+}
+
+export function makeTabShape(tabR, holeR) {
+  const s = new THREE.Shape();
+  s.absarc(0, 0, tabR, 0, Math.PI * 2, true);
+  const hole = new THREE.Path();
+  hole.absarc(0, 0, holeR, 0, Math.PI * 2, false);
+  s.holes.push(hole);
+  return s;
+}
+
+export function makeTabGeo(tabR, holeR, h, segs = 48) {
+  return new THREE.ExtrudeGeometry(makeTabShape(tabR, holeR), { depth: h, bevelEnabled: false, curveSegments: segs });
+}
+
+export function cleanGeo(geo, weld = 1e-4, eps = 1e-10) {
+  let g = mergeVertices(geo.clone(), weld);
+  const non = g.toNonIndexed(), pos = non.attributes.position, kept = [];
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3(),
+    ab = new THREE.Vector3(), ac = new THREE.Vector3(), cr = new THREE.Vector3();
+  for (let i = 0; i < pos.count; i += 3) {
+    a.fromBufferAttribute(pos, i);
+    b.fromBufferAttribute(pos, i + 1);
+    c.fromBufferAttribute(pos, i + 2);
+    ab.subVectors(b, a); ac.subVectors(c, a); cr.crossVectors(ab, ac);
+    if (cr.lengthSq() > eps) kept.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+  }
+  const out = new THREE.BufferGeometry();
+  out.setAttribute("position", new THREE.BufferAttribute(new Float32Array(kept), 3));
+  let w = mergeVertices(out, weld);
+  w.computeVertexNormals();
+  w.computeBoundingBox();
+  w.computeBoundingSphere();
+  return w;
+}
+
+// opentype path commands -> THREE shapes, without going through SVGLoader (which needs DOMParser)
+export function pathToShapes(otPath) {
+  const sp = new THREE.ShapePath();
+  for (const c of otPath.commands) {
+    if (c.type === "M") sp.moveTo(c.x, c.y);
+    else if (c.type === "L") sp.lineTo(c.x, c.y);
+    else if (c.type === "Q") sp.quadraticCurveTo(c.x1, c.y1, c.x, c.y);
+    else if (c.type === "C") sp.bezierCurveTo(c.x1, c.y1, c.x2, c.y2, c.x, c.y);
+    else if (c.type === "Z") sp.currentPath?.closePath();
+  }
+  return sp.toShapes(true);
+}
+
+// Font size that makes the rendered text exactly capHeight tall
+export function fitFontSize(otFont, text, capHeight) {
+  const bb = otFont.getPath(text, 0, 0, capHeight).getBoundingBox();
+  const measuredH = bb.y2 - bb.y1;
+  return measuredH > 0 ? capHeight * (capHeight / measuredH) : capHeight;
+}
+
+// Mirrors font-space (y-down) loops into model space and moves them by [dx, dy].
+// Each loop is reversed too, so its winding keeps meaning outer vs hole.
+const flipLoops = (loops, [dx, dy]) => loops.map(l => l.map(([x, y]) => [x + dx, -y + dy]).reverse());
+const toPairs = pts => pts.map(p => [p.x, p.y]);
+const asHole = l => ensureCCW(l).reverse();
+
+// How far text is kept inside the base outline, so the two never share an edge
+const TEXT_INSET = 0.01;
+
+// Material left under engraved text
+const MIN_FLOOR = 0.4;
+
+// A tab always reaches this far into the border instead of touching it at one point
+const TAB_OVERLAP = 0.3;
+
+export const TEXT_MODES = ["raised", "engraved", "cut"];
+
+export const EDGE_PROFILES = ["chamfer", "fillet"];
+// Beveled edges are stepped insets of their outline; offsets this close to true
+// arcs keep each step inside the one below and clear of the text
+export const BEVEL_TOLERANCE = 0.002;
+
+// Exact bounds of path commands, as an opentype BoundingBox (NaN when empty)
+const commandsBox = commands => Object.assign(new opentype.Path(), { commands }).getBoundingBox();
+
+// Moves every point of path commands, control points included
+const mapCommands = (commands, f) => commands.map(c => {
+  const out = { ...c };
+  for (const [kx, ky] of [["x", "y"], ["x1", "y1"], ["x2", "y2"]]) {
+    if (kx in c) [out[kx], out[ky]] = f(c[kx], c[ky]);
+  }
+  return out;
+});
+
+/**
+ * The glyphs of one line on the baseline y = 0: the font's own kerning, plus
+ * letterSpacing mm after every glyph and kerning[pair] mm more between the two
+ * characters of a pair (e.g. { AV: -0.5 }). mid is the middle of each glyph's
+ * advance, where arcs pivot it.
+ */
+function lineGlyphs(otFont, line, fontSize, { letterSpacing = 0, kerning = {} } = {}) {
+  const glyphs = [];
+  let extra = 0, prev = null;
+  otFont.forEachGlyph(line, 0, 0, fontSize, { letterSpacing: letterSpacing / fontSize }, (glyph, x, y, size) => {
+    // ligatures have no single character, so pairs never span them
+    const ch = glyph.unicode === undefined ? null : String.fromCodePoint(glyph.unicode);
+    if (prev !== null && ch !== null) extra += kerning[prev + ch] ?? 0;
+    prev = ch;
+    const w = (glyph.advanceWidth ?? 0) * size / otFont.unitsPerEm;
+    glyphs.push({ commands: glyph.getPath(x + extra, y, size).commands, mid: x + extra + w / 2 });
+  });
+  return glyphs;
+}
+
+export const ARCS = ["none", "up", "down"];
+
+/**
+ * Bends laid-out glyphs around a circle of radius mm centered on x = cx: "up" runs
+ * over the top of the circle, "down" under its bottom. Each glyph turns rigidly
+ * about the middle of its baseline, so letters keep their shapes; later lines sit
+ * on concentric circles.
+ */
+function bendGlyphs(lines, arc, radius, cx) {
+  const dir = arc === "up" ? 1 : -1, y0 = lines[0].y, cy = y0 + dir * radius;
+  return lines.map(l => {
+    const r = Math.max(1, radius - dir * (l.y - y0));
+    const glyphs = l.glyphs.map(({ commands, mid }) => {
+      const phi = (mid - cx) / r, cos = Math.cos(dir * phi), sin = Math.sin(dir * phi);
+      const px = cx + r * Math.sin(phi), py = cy - dir * r * Math.cos(phi);
+      return { mid, commands: mapCommands(commands, (x, y) => {
+        const dx = x - mid, dy = y - l.y;
+        return [px + dx * cos - dy * sin, py + dx * sin + dy * cos];
+      }) };
+    });
+    return { ...l, glyphs };
+  });
+}
+
+// Lays out each line separately: every line is fitted to capHeight on its own, aligned
+// against the widest line, and its ink top placed lineSpacing × capHeight below the last.
+// effects are { letterSpacing, kerning } as for lineGlyphs and { arc, arcRadius }.
+// Each line comes with its path commands and their box, arcs included.
+export function layoutLines(otFont, text, capHeight, align = "center", lineSpacing = 1.25, effects = {}) {
+  const lines = text.split("\n").map(l => supportedText(otFont, l)).map((line, i) => {
+    const fontSize = fitFontSize(otFont, line, capHeight);
+    const glyphs = lineGlyphs(otFont, line, fontSize, effects);
+    const bb = commandsBox(glyphs.flatMap(g => g.commands));
+    return { line, i, fontSize, glyphs, bb, w: bb.x2 - bb.x1 };
+  }).filter(l => l.line.trim() && Number.isFinite(l.w));
+  const maxW = Math.max(0, ...lines.map(l => l.w));
+  const pitch = capHeight * lineSpacing;
+  let laid = lines.map(({ line, i, fontSize, glyphs, bb, w }) => {
+    const free = maxW - w;
+    const x = (align === "left" ? 0 : align === "right" ? free : free / 2) - bb.x1;
+    const y = i * pitch - bb.y1;
+    return { line, fontSize, x, y, glyphs: glyphs.map(g => ({ mid: g.mid + x, commands: mapCommands(g.commands, (px, py) => [px + x, py + y]) })) };
+  });
+  if (laid.length && (effects.arc === "up" || effects.arc === "down")) laid = bendGlyphs(laid, effects.arc, effects.arcRadius ?? 60, maxW / 2);
+  return laid.map(({ glyphs, ...l }) => {
+    const commands = glyphs.flatMap(g => g.commands), bb = commandsBox(commands);
+    return { ...l, commands, box: [bb.x1, bb.y1, bb.x2, bb.y2] };
+  });
+}
+
+const loopsBox = loops => {
+  const pts = loops.flat();
+  const xs = pts.map(q => q[0]), ys = pts.map(q => q[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+/**
+ * Where a tab goes for a direction in degrees (0 = right, 90 = up): the ray from the
+ * base's center snaps to the outermost point where it crosses the border.
+ * Returns that point and the unit direction.
+ */
+function borderHit(loops, angle) {
+  const dx = Math.cos(angle * Math.PI / 180), dy = Math.sin(angle * Math.PI / 180);
+  let far = 0;
+  for (const l of loops) {
+    for (let i = 0; i < l.length; i++) {
+      const [ax, ay] = l[i], [bx, by] = l[(i + 1) % l.length];
+      const ex = bx - ax, ey = by - ay, den = dx * ey - dy * ex;
+      if (Math.abs(den) < 1e-12) continue;
+      const t = (ax * ey - ay * ex) / den, s = (ax * dy - ay * dx) / den;
+      if (s >= 0 && s <= 1 && t > far) far = t;
+    }
+  }
+  return { hit: [dx * far, dy * far], dir: [dx, dy] };
+}
+
+export const circleLoop = ([cx, cy], r, segs = 40) =>
+  Array.from({ length: segs }, (_, i) => [cx + r * Math.cos(i / segs * Math.PI * 2), cy + r * Math.sin(i / segs * Math.PI * 2)]);
+
+export const BASE_SHAPES = ["contour", "rect", "capsule", "oval", "circle", "svg"];
+
+// CCW rounded rectangle centered on [cx, cy]; radius 0 gives sharp corners
+function roundedRect([cx, cy], w, h, r, segs = 12) {
+  r = Math.max(0, Math.min(r, w / 2, h / 2));
+  if (r === 0) return [[cx - w / 2, cy - h / 2], [cx + w / 2, cy - h / 2], [cx + w / 2, cy + h / 2], [cx - w / 2, cy + h / 2]];
+  const out = [];
+  const corners = [[w / 2 - r, -h / 2 + r, -90], [w / 2 - r, h / 2 - r, 0], [-w / 2 + r, h / 2 - r, 90], [-w / 2 + r, -h / 2 + r, 180]];
+  for (const [x, y, a0] of corners) {
+    for (let i = 0; i <= segs; i++) {
+      const a = (a0 + 90 * i / segs) * Math.PI / 180;
+      out.push([cx + x + r * Math.cos(a), cy + y + r * Math.sin(a)]);
+    }
+  }
+  return out;
+}
+
+const ellipseLoop = ([cx, cy], rx, ry, segs = 96) =>
+  Array.from({ length: segs }, (_, i) => [cx + rx * Math.cos(i / segs * Math.PI * 2), cy + ry * Math.sin(i / segs * Math.PI * 2)]);
+
+/**
+ * Smallest scale of an outline (centered on the origin) that holds the box [x1, y1, x2, y2],
+ * found by bisection. Falls back to covering the box's bounds when no scale fits,
+ * e.g. for a ring-shaped outline.
+ */
+function fitOutline(loops, [x1, y1, x2, y2]) {
+  const box = [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+  const at = k => loops.map(l => l.map(([x, y]) => [x * k, y * k]));
+  const fits = k => polyDifference([box], at(k)).reduce((a, l) => a + Math.abs(signedArea(l)), 0) < 1e-4;
+  const [lx1, ly1, lx2, ly2] = loopsBox(loops);
+  const cover = Math.max(2 * Math.max(-x1, x2) / (lx2 - lx1), 2 * Math.max(-y1, y2) / (ly2 - ly1));
+  let hi = cover;
+  for (let i = 0; i < 8 && !fits(hi); i++) hi *= 2;
+  if (!fits(hi)) return at(cover);
+  let lo = 0;
+  for (let i = 0; i < 24; i++) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid)) hi = mid; else lo = mid;
+  }
+  return at(hi);
+}
+
+// Base loops for the plate shapes around the padded text box
+function plateLoops(p, [x1, y1, x2, y2]) {
+  const c = [(x1 + x2) / 2, (y1 + y2) / 2], w = x2 - x1, h = y2 - y1;
+  switch (p.baseShape) {
+    case "rect": return [roundedRect(c, w, h, p.cornerRadius ?? 0)];
+    // round ends centered on the box's short sides reach its corners
+    case "capsule": return [roundedRect(c, w + h, h, h / 2)];
+    // the smallest ellipse of the box's proportions through its corners
+    case "oval": return [ellipseLoop(c, w / Math.SQRT2, h / Math.SQRT2)];
+    case "circle": return [ellipseLoop(c, Math.hypot(w, h) / 2, Math.hypot(w, h) / 2)];
+    case "svg": return polyUnion(fitOutline(p.svgOutline, [x1, y1, x2, y2]));
+    default: throw new Error(`Unknown base shape "${p.baseShape}"`);
+  }
+}
+
+/**
+ * Merges the tab rings into the border outline in 2D and cuts their holes. A tab
+ * pushed out by a positive gap stays attached through a neck as wide as its
+ * radius, and the joints are rounded by closing the outline (grow, then shrink by
+ * the fillet radius) near each tab only, so the rest of the border keeps its shape.
+ * Returns { loops, holes: [{ at, r }] }.
+ */
+function fuseTabs(baseLoops, p) {
+  const tabR = p.tabDiameter / 2, fillet = Math.max(0, p.filletRadius ?? 0);
+  const angles = [p.tabAngle ?? 180, ...(p.secondTab ? [p.secondTabAngle ?? 0] : [])];
+  const tabs = angles.map(a => {
+    const { hit, dir } = borderHit(baseLoops, a);
+    const d = tabR + p.gap - TAB_OVERLAP;
+    return { hit, dir, at: [hit[0] + dir[0] * d, hit[1] + dir[1] * d], reach: tabR + Math.max(0, p.gap) };
+  });
+  const rings = tabs.map(t => circleLoop(t.at, tabR));
+  const necks = (p.gap > 0 ? tabs : []).map(({ hit, dir: [dx, dy], at }) => {
+    const w = tabR / 2, [nx, ny] = [-dy * w, dx * w];
+    const [sx, sy] = [hit[0] - dx * w, hit[1] - dy * w];
+    return ensureCCW([[sx + nx, sy + ny], [sx - nx, sy - ny], [at[0] - nx, at[1] - ny], [at[0] + nx, at[1] + ny]]);
+  });
+  let joined = polyUnion([...baseLoops, ...rings, ...necks]);
+  if (fillet > 0) {
+    const closed = offsetUnion(offsetUnion(joined, fillet), -fillet);
+    const near = tabs.map(t => circleLoop(t.at, t.reach + fillet * 2));
+    // opening drops the hairline slivers closing leaves along curves; the fillets then
+    // grow a little so they overlap the outline instead of meeting it edge to edge
+    const fill = polyIntersection(polyDifference(closed, joined), near);
+    joined = polyUnion(joined, offsetUnion(offsetUnion(fill, -0.02), 0.03));
+  }
+  const holes = tabs.map(t => ({ at: t.at, r: p.holeDiameter / 2 }));
+  return { loops: polyDifference(joined, holes.map(h => circleLoop(h.at, h.r))), holes };
+}
+
+// Space between the text and an icon placed beside it
+const ICON_GAP = 2;
+
+/**
+ * An uploaded icon's loops (centered, as svg.js reads them) scaled to iconSize mm,
+ * rotated by iconRotation degrees and set beside the text box on iconSide, then
+ * nudged by iconX / iconY.
+ */
+function placeIcon(p, [tx1, ty1, tx2, ty2]) {
+  const [lx1, ly1, lx2, ly2] = loopsBox(p.icon);
+  const k = (p.iconSize ?? 10) / Math.max(lx2 - lx1, ly2 - ly1);
+  const a = (p.iconRotation ?? 0) * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+  const turned = p.icon.map(l => l.map(([x, y]) => [(x * cos - y * sin) * k, (x * sin + y * cos) * k]));
+  const [ix1, iy1, ix2, iy2] = loopsBox(turned);
+  const cx = (tx1 + tx2) / 2, cy = (ty1 + ty2) / 2, icx = (ix1 + ix2) / 2, icy = (iy1 + iy2) / 2;
+  const side = p.iconSide ?? "left";
+  const at = side === "left" ? [tx1 - ICON_GAP - ix2, cy - icy]
+    : side === "right" ? [tx2 + ICON_GAP - ix1, cy - icy]
+    : side === "above" ? [cx - icx, ty2 + ICON_GAP - iy1]
+    : [cx - icx, ty1 - ICON_GAP - iy2];
+  const dx = at[0] + (p.iconX ?? 0), dy = at[1] + (p.iconY ?? 0);
+  return polyUnion(turned.map(l => l.map(([x, y]) => [x + dx, y + dy])));
+}
+
+// Rectangles joining the middles of consecutive lines, so the border offset always
+// wraps every line in one base even with wide line spacing
+function lineBridges(laid) {
+  const out = [];
+  for (let k = 1; k < laid.length; k++) {
+    const [ax1, ay1, ax2, ay2] = laid[k - 1].box, [bx1, by1, bx2, by2] = laid[k].box;
+    const x1 = Math.max(ax1, bx1), x2 = Math.min(ax2, bx2);
+    const y1 = (ay1 + ay2) / 2, y2 = (by1 + by2) / 2;
+    if (x2 > x1) out.push([[x1, y1], [x2, y1], [x2, y2], [x1, y2]]);
+  }
+  return out;
+}
+
+/**
+ * The band of a region within width of its edge. Where bands of overlapping glyphs
+ * meet they can leave hairline holes touching at a point, which would make a
+ * non-manifold edge; closing by a hair fills those.
+ */
+function strokeBand(loops, width) {
+  const band = polyDifference(loops, offsetUnion(loops, -width));
+  return polyUnion(offsetUnion(offsetUnion(band, 0.02), -0.02));
+}
+
+// Edge sizes that fit the heights they cut into: base bevels share its height with
+// at least MIN_FLOOR left straight, and the text bevel only applies to raised text
+function edgeSizes(p, mode) {
+  const size = v => Math.max(0, v ?? 0);
+  const baseBottom = Math.min(size(p.baseBottomEdge), (p.borderHeight - MIN_FLOOR) / 2);
+  return {
+    profile: EDGE_PROFILES.includes(p.edgeProfile) ? p.edgeProfile : "chamfer",
+    text: mode === "raised" ? Math.min(size(p.textEdge), p.textHeight) : 0,
+    baseTop: Math.min(size(p.baseTopEdge), p.borderHeight - MIN_FLOOR - baseBottom),
+    baseBottom,
+  };
+}
+
+export const TEXT_STYLES = ["filled", "outline"];
+
+/**
+ * Builds the keychain for one set of parameters. `text` is the raised text mesh for
+ * the preview; it sits at z = 0 and callers lift it by borderHeight. It is null for
+ * outline-only or beveled text, whose solid the preview builds from `outline` instead.
+ * `outline` is the same model as exact 2D regions (base+tab, text, icon) with their
+ * top heights and the text mode (raised, engraved down to `floor`, or cut
+ * through), which export turns into a single watertight solid. `holes` lists the
+ * key ring holes as { at: [x, y], r }; `edges` the chamfer or fillet sizes of the
+ * text top and base top and bottom edges as { profile, text, baseTop, baseBottom }.
+ * Returns null when the text produces no outlines.
+ */
+export function buildKeychain(otFont, p) {
+  const laid = layoutLines(otFont, p.text, p.textCapHeight, p.textAlign, p.lineSpacing, p);
+  const shapes = laid.flatMap(l => pathToShapes(l));
+  if (!shapes.length) return null;
+  const textLoops = shapes.flatMap(sh => {
+    const { shape, holes } = sh.extractPoints(8);
+    return [ensureCCW(toPairs(shape)), ...holes.map(h => asHole(toPairs(h)))];
+  });
+  // centers the text on the origin
+  const [lx1, ly1, lx2, ly2] = loopsBox(textLoops), textD = [-(lx1 + lx2) / 2, (ly1 + ly2) / 2];
+  const textRegion = polyUnion(flipLoops(textLoops, textD));
+  // outline-only text keeps a band strokeWidth wide inside each glyph's edge; the base
+  // and icon still go around the whole glyphs
+  const outlined = p.textStyle === "outline";
+  const markRegion = outlined ? strokeBand(textRegion, p.strokeWidth ?? 1.2) : textRegion;
+  const mode = TEXT_MODES.includes(p.textMode) ? p.textMode : "raised";
+  const edges = edgeSizes(p, mode);
+  let text = null;
+  if (!outlined && !edges.text) {
+    text = new THREE.ExtrudeGeometry(shapes, { depth: p.textHeight, bevelEnabled: false, curveSegments: 8 });
+    text.scale(1, -1, 1);
+    text.translate(textD[0], textD[1], 0);
+  }
+  const iconRegion = p.icon?.length ? placeIcon(p, loopsBox(textRegion)) : [];
+
+  let baseLoops;
+  if (p.baseShape && p.baseShape !== "contour" && (p.baseShape !== "svg" || p.svgOutline?.length)) {
+    // plate shapes are sized around the text and icon, which stay centered on them
+    const [tx1, ty1, tx2, ty2] = loopsBox([...textRegion, ...iconRegion]), pad = p.borderOffset;
+    baseLoops = plateLoops(p, [tx1 - pad, ty1 - pad, tx2 + pad, ty2 + pad]);
+  } else {
+    const outerPaths = shapes.flatMap(sh => shapeToOuterPaths(sh, 48));
+    // ClipperOffset treats opposite-wound paths as holes, so bridges and the icon follow the glyph winding
+    const cw = outerPaths.length && signedArea(outerPaths[0]) < 0;
+    lineBridges(laid).forEach(b => outerPaths.push(cw ? b.reverse() : b));
+    const paths = flipLoops(outerPaths, textD);
+    iconRegion.filter(l => signedArea(l) > 0).forEach(l => paths.push(cw ? [...l].reverse() : l));
+    baseLoops = offsetUnion(paths, p.borderOffset);
+  }
+  const { loops: outlineBase, holes } = fuseTabs(baseLoops, p);
+  const [x1, y1, x2, y2] = loopsBox(outlineBase);
+  const bounds = new THREE.Box3(new THREE.Vector3(x1, y1, 0), new THREE.Vector3(x2, y2, p.borderHeight));
+
+  // marks stay on the flat part of the base, inside its beveled edges
+  const bevel = mode === "raised" ? edges.baseTop : Math.max(edges.baseTop, edges.baseBottom);
+  const inner = offsetUnion(outlineBase, -TEXT_INSET - bevel, bevel ? BEVEL_TOLERANCE : undefined);
+  const outlineText = polyIntersection(markRegion, inner);
+  // where the icon overlaps the text, the text wins
+  const outlineIcon = iconRegion.length ? polyIntersection(polyDifference(iconRegion, markRegion), inner) : [];
+  const depth = Math.max(0.1, Math.min(p.engraveDepth ?? 1, p.borderHeight - MIN_FLOOR));
+  const outline = {
+    mode, base: outlineBase, text: outlineText, icon: outlineIcon, holes, baseTop: p.borderHeight,
+    textTop: mode === "raised" ? p.borderHeight + p.textHeight : p.borderHeight,
+    floor: mode === "engraved" ? p.borderHeight - depth : mode === "cut" ? 0 : p.borderHeight,
+    edges,
+  };
+  return { text, bounds, outline };
+}
+
+// Plain typed arrays so geometry can cross a worker boundary
+export function geoToBuffers(geo) {
+  return {
+    position: geo.attributes.position.array,
+    normal: geo.attributes.normal?.array ?? null,
+  };
+}
+
+export function buffersToGeo({ position, normal }) {
+  const g = new THREE.BufferGeometry();
+  g.setAttribute("position", new THREE.BufferAttribute(position, 3));
+  if (normal) g.setAttribute("normal", new THREE.BufferAttribute(normal, 3));
+  else g.computeVertexNormals();
+  g.computeBoundingBox();
+  g.computeBoundingSphere();
+  return g;
+}
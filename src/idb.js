@@ -0,0 +1,28 @@
+// IndexedDB access shared by the app's stores. Each call opens the database, runs
+// one transaction and closes it again, so nothing holds a connection open.
+
+/**
+ * A database name with object stores { storeName: keyPath }, created on first
+ * open. Returns withStore(store, mode, fn), which runs fn(objectStore) in one
+ * transaction and resolves to the result of the request fn returns.
+ */
+export function database(name, stores) {
+  const open = () => new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = () => Object.entries(stores).forEach(([store, keyPath]) => req.result.createObjectStore(store, { keyPath }));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  return async function withStore(store, mode, fn) {
+    const db = await open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const t = db.transaction(store, mode);
+        const req = fn(t.objectStore(store));
+        t.oncomplete = () => resolve(req?.result);
+        t.onerror = () => reject(t.error);
+      });
+    } finally { db.close(); }
+  };
+}
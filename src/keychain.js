@@ -0,0 +1,80 @@
+import opentype from "opentype.js";
+import { buildKeychain as buildModel } from "./geometry.js";
+import { solidParts } from "./solid.js";
+import { exportOutline } from "./exporters.js";
+import { DEFAULTS, validateDesign, DESIGN_VERSION } from "./design.js";
+import { normalizeText, findMissingGlyphs, safeFilename, MAX_LINES, MAX_LINE_CHARS } from "./text.js";
+
+// Headless keychain generation: the editor's pipeline without a DOM, a worker or
+// React, for scripts, servers and the command line.
+
+const parsedFonts = new WeakMap(); // font file bytes -> opentype.Font
+
+function toFont(font) {
+  if (font instanceof opentype.Font) return font;
+  if (!(font instanceof ArrayBuffer || ArrayBuffer.isView(font))) throw new Error("fontFile must be an opentype Font or the font file's bytes");
+  if (!parsedFonts.has(font)) {
+    const bytes = ArrayBuffer.isView(font) ? font.buffer.slice(font.byteOffset, font.byteOffset + font.byteLength) : font;
+    parsedFonts.set(font, opentype.parse(bytes));
+  }
+  return parsedFonts.get(font);
+}
+
+/**
+ * Every setting of a design: given settings checked like design files (throwing
+ * with the same messages) over the defaults, with the name cleaned up as the editor
+ * does. Equal designs come out equal, whatever was left at its default.
+ */
+export function designSettings(given) {
+  const settings = { ...DEFAULTS, svgOutline: null, icon: null, ...validateDesign({ version: DESIGN_VERSION, settings: given }) };
+  return { ...settings, name: normalizeText(settings.name, MAX_LINES, MAX_LINE_CHARS) };
+}
+
+// Editor settings as the geometry's build parameters
+function buildParams(settings) {
+  const { name, svgOutline, icon, ...rest } = settings;
+  return {
+    ...rest,
+    text: name,
+    svgOutline: svgOutline?.loops ?? null,
+    icon: icon?.loops ?? null,
+  };
+}
+
+// Part colors of a design, with the icon in the text color unless it has its own
+export const designColors = ({ borderColor, textColor, iconColorMode, iconColor }) =>
+  ({ borderColor, textColor, iconColor: iconColorMode === "own" ? iconColor : textColor });
+
+/**
+ * Builds a keychain from design settings as saved in design files (name is the
+ * text; anything left out takes its default) drawn in params.fontFile, an opentype
+ * Font or the font file's bytes; the font setting only names it. Settings go
+ * through designSettings first.
+ * Returns { settings, outline, missing, meshes }: missing lists characters the
+ * font can't draw, and meshes { body, text, icon } are watertight BufferGeometries
+ * in mm, built on first use (text and icon are null unless raised).
+ */
+export function buildKeychain(params) {
+  const { fontFile, ...given } = params;
+  const otFont = toFont(fontFile);
+  const settings = designSettings(given);
+  const p = buildParams(settings);
+  const built = buildModel(otFont, p);
+  if (!built) throw new Error("This font draws none of the name's characters");
+  built.text?.dispose();
+  const { outline } = built;
+  let meshes = null;
+  return {
+    settings, outline,
+    missing: findMissingGlyphs(otFont, p.text),
+    get meshes() { return meshes ??= solidParts(outline); },
+  };
+}
+
+/**
+ * A built keychain as files ({ filename: data }) in format "STL", "3MF" or "OBJ",
+ * named after title, by default the name.
+ */
+export function exportKeychain(keychain, format, title = safeFilename(keychain.settings.name.split("\n").join("_"))) {
+  return exportOutline(keychain.outline, format, designColors(keychain.settings), title);
+}
@@ -0,0 +1,47 @@
+import { database } from "./idb.js";
+
+// Saved presets and designs, kept on this device. IndexedDB when it works, else
+// localStorage; entries are { id, name, savedAt, ... } per store.
+const withStore = database("keychain_library_v1", { presets: "id", designs: "id" });
+const LOCAL_PREFIX = "keychain_library_v1:";
+
+const readLocal = store => { try { return JSON.parse(localStorage.getItem(LOCAL_PREFIX + store)) ?? []; } catch { return []; } };
+const writeLocal = (store, items) => localStorage.setItem(LOCAL_PREFIX + store, JSON.stringify(items));
+
+// Newest first
+export async function listItems(store) {
+  let items;
+  try { items = await withStore(store, "readonly", s => s.getAll()); } catch { items = readLocal(store); }
+  return (items ?? []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Adds or replaces an item; false when neither storage would take it
+export async function putItem(store, item) {
+  try { await withStore(store, "readwrite", s => s.put(item)); return true; } catch { /* fall back */ }
+  try { writeLocal(store, [...readLocal(store).filter(i => i.id !== item.id), item]); return true; } catch { return false; }
+}
+
+export async function deleteItem(store, id) {
+  try { await withStore(store, "readwrite", s => s.delete(id)); } catch { /* fall back */ }
+  try { writeLocal(store, readLocal(store).filter(i => i.id !== id)); } catch { /* nothing stored */ }
+}
+
+export const newItemId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// "Name" -> "Name copy", "Name copy 2", ... avoiding names already taken
+export function copyName(name, taken) {
+  const base = `${name.replace(/ copy( \d+)?$/, "")} copy`;
+  if (!taken.includes(base)) return base;
+  let n = 2;
+  while (taken.includes(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+}
+
+// window.storage where the host provides it, else the same get/set over localStorage
+export function keyValueStore() {
+  if (window.storage?.get && window.storage?.set) return window.storage;
+  return {
+    async get(key) { const value = localStorage.getItem(key); return value == null ? null : { key, value }; },
+    async set(key, value) { localStorage.setItem(key, value); return { key, value }; },
+  };
+}
@@ -0,0 +1,18 @@
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { BUNDLED_FONTS, findFontKey } from "./fonts.js";
+
+// The bundled fonts read from public/fonts, for Node callers like the CLI and the
+// server. Each file is read once; the same bytes also hit keychain.js's parse cache.
+
+const FONTS_DIR = fileURLToPath(new URL("../public/fonts/", import.meta.url));
+const files = new Map(); // key -> Buffer
+
+// { key, bytes } of a bundled font by key or family name, or null when there is none
+export function readBundledFont(name) {
+  const key = findFontKey(name);
+  if (!key) return null;
+  if (!files.has(key)) files.set(key, readFileSync(join(FONTS_DIR, BUNDLED_FONTS[key])));
+  return { key, bytes: files.get(key) };
+}
@@ -0,0 +1,107 @@
+import { solidParts, solidUnion } from "./solid.js";
+import { assertWatertight, toSTL, to3MF } from "./exporters.js";
+
+// Build plate layout: several keychains laid out flat on one printer bed, packed
+// by their footprints and exported together as a single file.
+
+export const BED_PRESETS = [
+  { value: "180x180", label: "180 × 180", width: 180, height: 180 },
+  { value: "220x220", label: "220 × 220", width: 220, height: 220 },
+  { value: "256x256", label: "256 × 256", width: 256, height: 256 },
+  { value: "350x350", label: "350 × 350", width: 350, height: 350 },
+];
+
+// Bounding box [x1, y1, x2, y2] of an outline's base, tabs included
+export function footprint(outline) {
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (const l of outline.base) {
+    for (const [x, y] of l) {
+      if (x < x1) x1 = x; if (x > x2) x2 = x;
+      if (y < y1) y1 = y; if (y > y2) y2 = y;
+    }
+  }
+  return [x1, y1, x2, y2];
+}
+
+/**
+ * Shelf packing of boxes [{ w, h }] onto a width × height bed, keeping spacing
+ * between neighbours. Tallest boxes go first; each fills the lowest shelf with
+ * room left, and a box too wide for the bed is turned a quarter when that fits.
+ * Returns one entry per box: { x, y, rotated } for its lower-left corner, with the
+ * bed centered on the origin, or null when it doesn't fit.
+ */
+export function packPlate(sizes, { width, height, spacing }) {
+  const boxes = sizes.map(({ w, h }, i) => {
+    const rotated = w > width && h <= width && w <= height;
+    return rotated ? { i, w: h, h: w, rotated } : { i, w, h, rotated };
+  });
+  const shelves = []; // { y, h, x }
+  const out = sizes.map(() => null);
+  for (const b of [...boxes].sort((p, q) => q.h - p.h || q.w - p.w)) {
+    if (b.w > width || b.h > height) continue;
+    let shelf = shelves.find(s => b.h <= s.h && s.x + b.w <= width);
+    if (!shelf) {
+      const top = shelves.at(-1);
+      const y = top ? top.y + top.h + spacing : 0;
+      if (y + b.h > height) continue;
+      shelf = { y, h: b.h, x: 0 };
+      shelves.push(shelf);
+    }
+    out[b.i] = { x: shelf.x - width / 2, y: shelf.y - height / 2, rotated: b.rotated };
+    shelf.x += b.w + spacing;
+  }
+  return out;
+}
+
+/**
+ * Where a keychain built around the origin goes on the plate: a quarter turn when
+ * rotated, then the shift dx, dy that puts its footprint at place.x, place.y.
+ */
+export function plateTransform(outline, place) {
+  const [x1, y1, , y2] = footprint(outline);
+  return place.rotated
+    ? { rotated: true, dx: place.x + y2, dy: place.y - x1 }
+    : { rotated: false, dx: place.x - x1, dy: place.y - y1 };
+}
+
+// Copy of an outline with every loop moved by plateTransform; turning keeps winding
+function moveOutline(outline, { rotated, dx, dy }) {
+  const move = loops => loops?.map(l => l.map(([x, y]) => rotated ? [dx - y, dy + x] : [x + dx, y + dy]));
+  return { ...outline, base: move(outline.base), text: move(outline.text), icon: move(outline.icon) };
+}
+
+/**
+ * The whole plate as one file. items: [{ name, outline, transform, colors }] where
+ * colors is { borderColor, textColor, iconColor }. STL merges every keychain into
+ * one mesh; 3MF keeps each keychain an object of its own with colored parts.
+ */
+export function exportPlate(items, format, title) {
+  const moved = items.map(it => ({ ...it, outline: moveOutline(it.outline, it.transform) }));
+  if (format === "3MF") {
+    const parts = [], geos = [];
+    try {
+      for (const [k, { name, outline, colors }] of moved.entries()) {
+        const { body, text, icon } = solidParts(outline);
+        geos.push(body, text, icon);
+        assertWatertight(body, `${name}: the base`);
+        if (text) assertWatertight(text, `${name}: the text`);
+        if (icon) assertWatertight(icon, `${name}: the icon`);
+        parts.push(
+          { name: "base_tab", group: k, groupName: name, geometry: body, color: colors.borderColor },
+          text && { name: "text", group: k, groupName: name, geometry: text, color: colors.textColor },
+          icon && { name: "icon", group: k, groupName: name, geometry: icon, color: colors.iconColor },
+        );
+      }
+      return to3MF(parts.filter(Boolean), { title });
+    } finally { geos.forEach(g => g?.dispose()); }
+  }
+  const solids = [];
+  try {
+    for (const { name, outline } of moved) {
+      const solid = solidUnion(outline);
+      solids.push(solid);
+      assertWatertight(solid, name);
+    }
+    return toSTL(solids, { binary: true });
+  } finally { solids.forEach(s => s.dispose()); }
+}
@@ -0,0 +1,87 @@
+import { offsetUnion, polyUnion, polyDifference, signedArea, circleLoop } from "./geometry.js";
+import { markLoops } from "./solid.js";
+
+// Printability checks on a build's outline, against the nozzle that will print it.
+// Each issue is { id, severity: "error" | "warning", message, regions, z }: regions
+// are loops to highlight in the preview at height z. Errors will not print as
+// designed; warnings print but may be weak or awkward.
+
+export const DEFAULT_NOZZLE = 0.4;
+
+// Keyring split rings need about this much room
+const MIN_HOLE = 3;
+// Beyond this a keychain no longer fits common beds
+const MAX_SIZE = 200;
+const MIN_SIZE = 15;
+
+const regionArea = loops => loops.reduce((a, l) => a + signedArea(l), 0);
+
+/**
+ * Parts of a region narrower than width: what an opening by width / 2 (shrink,
+ * then grow back) removes. Corners are always shaved a little, so only pieces
+ * bigger than a nozzle-sized square count.
+ */
+function thinParts(loops, width) {
+  if (!loops.length) return [];
+  const opened = offsetUnion(offsetUnion(loops, -width / 2), width / 2);
+  const thin = polyDifference(loops, opened);
+  return polyUnion(thin).filter(l => Math.abs(signedArea(l)) > width * width);
+}
+
+// Outer loops of a region, largest first
+const outers = loops => loops.filter(l => signedArea(l) > 0).sort((a, b) => signedArea(b) - signedArea(a));
+
+function box(loops) {
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (const [x, y] of loops.flat()) {
+    x1 = Math.min(x1, x); x2 = Math.max(x2, x);
+    y1 = Math.min(y1, y); y2 = Math.max(y2, y);
+  }
+  return [x1, y1, x2, y2];
+}
+
+export function checkPrintability(outline, { nozzle = DEFAULT_NOZZLE } = {}) {
+  const issues = [];
+  const { mode, base, baseTop, textTop } = outline;
+  const marks = markLoops(outline);
+  const add = (id, severity, message, regions = [], z = textTop) => issues.push({ id, severity, message, regions, z });
+  // cut-through marks are gaps in the whole base; engraved ones keep a floor below
+  const body = mode === "cut" ? polyDifference(base, marks) : base;
+
+  const thinBody = thinParts(body, nozzle);
+  if (thinBody.length) {
+    add("thin-base", "error", `Parts of the base are narrower than the ${nozzle} mm nozzle and won't print. Raise Border Padding or the tab size.`, thinBody, baseTop);
+  }
+  if (mode === "raised") {
+    const thinText = thinParts(marks, nozzle);
+    if (thinText.length) add("thin-text", "error", `Some text strokes are narrower than the ${nozzle} mm nozzle and will be missing. Raise Cap Height or pick a bolder font.`, thinText, textTop);
+  } else {
+    const thinGaps = thinParts(marks, nozzle);
+    if (thinGaps.length) add("thin-gaps", "warning", `Some ${mode === "cut" ? "cut-outs" : "engraved strokes"} are narrower than the ${nozzle} mm nozzle and will close up.`, thinGaps, baseTop);
+  }
+
+  // separate outer loops print as loose pieces; in cut mode letter counters do too
+  const islands = outers(body).slice(1);
+  if (islands.length) {
+    const what = mode === "cut" ? "like letter counters or the dot of an i" : "like the dot of an i";
+    add("islands", "error", `${islands.length} ${islands.length === 1 ? "piece is" : "pieces are"} not connected to the rest (${what}) and will come off.`, islands, baseTop);
+  }
+
+  for (const [k, { at, r }] of (outline.holes ?? []).entries()) {
+    const label = outline.holes.length > 1 ? `Hole ${k + 1}` : "The hole";
+    if (r * 2 < MIN_HOLE) add(`small-hole-${k}`, "warning", `${label} is ${(r * 2).toFixed(1)} mm across; most key rings need ${MIN_HOLE} mm or more.`, [circleLoop(at, r)], baseTop);
+    // the wall is too thin wherever a ring just outside the hole leaves the base
+    for (const [walls, severity, note] of [[1, "error", "thinner than the nozzle and will break open"], [2, "warning", `under two nozzle widths (${2 * nozzle} mm) and may snap`]]) {
+      const outside = polyDifference([circleLoop(at, r + walls * nozzle)], [circleLoop(at, r + 0.01), ...body]);
+      if (regionArea(outside) > nozzle * nozzle * 0.1) {
+        add(`hole-wall-${k}`, severity, `The wall around ${label.toLowerCase()} is ${note}. Enlarge Tab Diameter or shrink Hole Diameter.`, outside, baseTop);
+        break;
+      }
+    }
+  }
+
+  const [x1, y1, x2, y2] = box(base), w = x2 - x1, h = y2 - y1;
+  if (Math.max(w, h) > MAX_SIZE) add("too-large", "warning", `At ${w.toFixed(0)} × ${h.toFixed(0)} mm it is larger than many print beds (${MAX_SIZE} mm).`);
+  else if (Math.max(w, h) < MIN_SIZE) add("too-small", "warning", `At ${w.toFixed(0)} × ${h.toFixed(0)} mm it is very small; details may not come out.`);
+  return issues;
+}
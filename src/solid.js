@@ -0,0 +1,260 @@
+import * as THREE from "three";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { signedArea, polyUnion, offsetUnion, BEVEL_TOLERANCE } from "./geometry.js";
+
+// Watertight meshes for models that are stacks of vertical prisms (base, tab, text).
+// Every wall and cap is triangulated from the very same loop points, so after welding
+// each edge is shared by exactly two triangles.
+
+function pointInLoop([x, y], loop) {
+  let inside = false;
+  for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+    const [xi, yi] = loop[i], [xj, yj] = loop[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const orient = (loop, ccw) => (signedArea(loop) > 0) === ccw ? loop : [...loop].reverse();
+
+/**
+ * Groups non-crossing loops by even-odd nesting into [{ outer, holes }],
+ * outers wound CCW and holes CW, so solid is always on the left of each edge.
+ */
+export function nestLoops(loops) {
+  const items = loops.filter(l => l.length >= 3).map(l => ({ l, area: Math.abs(signedArea(l)) }));
+  for (const it of items) {
+    const parents = items.filter(o => o !== it && o.area > it.area && pointInLoop(it.l[0], o.l));
+    it.depth = parents.length;
+    it.parent = parents.sort((a, b) => a.area - b.area)[0] ?? null;
+  }
+  return items.filter(it => it.depth % 2 === 0).map(it => ({
+    outer: orient(it.l, true),
+    holes: items.filter(h => h.parent === it).map(h => orient(h.l, false)),
+  }));
+}
+
+const inRegion = (pt, loops) => loops.reduce((inside, l) => pointInLoop(pt, l) ? !inside : inside, false);
+
+function pushCap(pos, loops, z, below) {
+  for (const { outer, holes } of nestLoops(loops)) {
+    const contour = outer.map(([x, y]) => new THREE.Vector2(x, y));
+    const holeVs = holes.map(h => h.map(([x, y]) => new THREE.Vector2(x, y)));
+    const all = [...contour, ...holeVs.flat()];
+    const faces = THREE.ShapeUtils.triangulateShape(contour, holeVs).map(f => f.map(i => all[i]));
+    if (!faces.length) continue;
+    const areas = faces.map(([a, b, c]) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+    // the cap looks up where solid is below it and down where solid is above it,
+    // tested at its largest triangle
+    const [a0, b0, c0] = faces[areas.reduce((m, v, i) => Math.abs(v) > Math.abs(areas[m]) ? i : m, 0)];
+    const up = inRegion([(a0.x + b0.x + c0.x) / 3, (a0.y + b0.y + c0.y) / 3], below);
+    // all triangles share the triangulation's winding; a sliver's own sign can't be trusted
+    const ccw = areas.reduce((sum, v) => sum + v, 0) > 0;
+    for (const [a, b, c] of faces) {
+      const [p, q, r] = ccw === up ? [a, b, c] : [a, c, b];
+      pos.push(p.x, p.y, z, q.x, q.y, z, r.x, r.y, z);
+    }
+  }
+}
+
+/**
+ * Earcut may span an edge across points that lie exactly on it (e.g. two glyphs whose
+ * outlines share a horizontal line), leaving T-junctions. Triangles with such an open
+ * edge are split at the points on it so the edge meets its neighbours again.
+ */
+function splitTJunctions(geo) {
+  const idx = Array.from(geo.index.array), pos = geo.attributes.position;
+  const count = new Map();
+  const key = (a, b) => a < b ? `${a}_${b}` : `${b}_${a}`;
+  for (let i = 0; i < idx.length; i += 3) {
+    for (let k = 0; k < 3; k++) { const e = key(idx[i + k], idx[i + (k + 1) % 3]); count.set(e, (count.get(e) ?? 0) + 1); }
+  }
+  const open = new Set();
+  for (const [e, n] of count) if (n === 1) e.split("_").forEach(v => open.add(+v));
+  if (!open.size) return geo;
+  const P = i => [pos.getX(i), pos.getY(i), pos.getZ(i)];
+  const out = [];
+  for (let i = 0; i < idx.length; i += 3) {
+    const tri = [idx[i], idx[i + 1], idx[i + 2]];
+    let split = false;
+    for (let k = 0; k < 3 && !split; k++) {
+      const a = tri[k], b = tri[(k + 1) % 3], c = tri[(k + 2) % 3];
+      if (count.get(key(a, b)) !== 1) continue;
+      const [ax, ay, az] = P(a), [bx, by, bz] = P(b);
+      const dx = bx - ax, dy = by - ay, dz = bz - az, len2 = dx * dx + dy * dy + dz * dz;
+      const on = [];
+      for (const v of open) {
+        if (v === a || v === b) continue;
+        const [vx, vy, vz] = P(v);
+        const t = ((vx - ax) * dx + (vy - ay) * dy + (vz - az) * dz) / len2;
+        if (t <= 1e-9 || t >= 1 - 1e-9) continue;
+        const ex = ax + dx * t - vx, ey = ay + dy * t - vy, ez = az + dz * t - vz;
+        if (ex * ex + ey * ey + ez * ez < 1e-10) on.push([t, v]);
+      }
+      if (!on.length) continue;
+      const chain = [a, ...on.sort((p, q) => p[0] - q[0]).map(([, v]) => v), b];
+      for (let j = 0; j < chain.length - 1; j++) out.push(chain[j], chain[j + 1], c);
+      split = true;
+    }
+    if (!split) out.push(...tri);
+  }
+  geo.setIndex(out);
+  return geo;
+}
+
+/**
+ * Builds one watertight solid from stacked layers [{ loops, z0, z1 }], bottom to top,
+ * each starting where the previous one ends. A layer's region is the even-odd fill
+ * of its loops. Loops passed to two adjacent layers as the same array make one
+ * continuous wall with no cap between them.
+ */
+export function layeredSolid(layers) {
+  const pos = [];
+  for (const { loops, z0, z1 } of layers) {
+    for (const { outer, holes } of nestLoops(loops)) {
+      for (const loop of [outer, ...holes]) {
+        for (let i = 0; i < loop.length; i++) {
+          const [ax, ay] = loop[i], [bx, by] = loop[(i + 1) % loop.length];
+          pos.push(ax, ay, z0, bx, by, z0, bx, by, z1, ax, ay, z0, bx, by, z1, ax, ay, z1);
+        }
+      }
+    }
+  }
+  for (let k = 0; k <= layers.length; k++) {
+    const below = layers[k - 1]?.loops ?? [], above = layers[k]?.loops ?? [];
+    const shared = new Set(below.filter(l => above.includes(l)));
+    const z = k < layers.length ? layers[k].z0 : layers[k - 1].z1;
+    pushCap(pos, [...below, ...above].filter(l => !shared.has(l)), z, below);
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(pos), 3));
+  const welded = splitTJunctions(mergeVertices(geo, 1e-5));
+  geo.dispose();
+  welded.computeVertexNormals();
+  welded.computeBoundingBox();
+  return welded;
+}
+
+/**
+ * Edge check on a welded mesh: watertight means every edge belongs to exactly
+ * two triangles that traverse it in opposite directions.
+ */
+export function checkWatertight(geo) {
+  const g = geo.index ? geo : mergeVertices(geo, 1e-5);
+  const idx = g.index.array, edges = new Map();
+  for (let i = 0; i < idx.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = idx[i + k], b = idx[i + (k + 1) % 3];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      const e = edges.get(key) ?? { n: 0, dir: 0 };
+      e.n++; e.dir += a < b ? 1 : -1;
+      edges.set(key, e);
+    }
+  }
+  let open = 0, nonManifold = 0, flipped = 0;
+  for (const e of edges.values()) {
+    if (e.n === 1) open++;
+    else if (e.n > 2) nonManifold++;
+    else if (e.dir !== 0) flipped++;
+  }
+  if (g !== geo) g.dispose();
+  return { ok: open + nonManifold + flipped === 0, open, nonManifold, flipped };
+}
+
+// Text and icon together as one region (they only ever share edges)
+export function markLoops(outline) {
+  return outline.icon?.length ? polyUnion(outline.text, outline.icon) : outline.text;
+}
+
+// Edge profiles as the inset at depth v into an edge of size r from its flat face
+const PROFILES = {
+  chamfer: (r, v) => r - v,
+  fillet: (r, v) => r - Math.sqrt(r * r - (r - v) ** 2),
+};
+// Beveled edges are built as steps no taller than this, finer than print layers
+const BEVEL_STEP = 0.2;
+// Insets are rounded to this, so consecutive steps never have touching walls
+const INSET_GRAIN = 0.02;
+// Heights closer than this are one, or rounding would leave layers of no thickness
+const SAME_HEIGHT = 1e-6;
+
+/**
+ * Layers of loops standing from z0 to z1 whose bottom and top edges are set in by
+ * edges.profile over bottom and top mm. Each step is inset as the profile is at its
+ * middle; steps that would come out alike are merged, and straight stretches reuse
+ * loops, so their walls stay one piece. Layers also end at every height in cuts.
+ */
+function edgedLayers(loops, z0, z1, { profile = "chamfer", bottom = 0, top = 0 } = {}, cuts = []) {
+  const f = PROFILES[profile] ?? PROFILES.chamfer;
+  const steps = (a, b) => {
+    const n = Math.ceil((b - a) / BEVEL_STEP - 1e-9);
+    return Array.from({ length: n + 1 }, (_, i) => i === n ? b : a + (b - a) * i / n);
+  };
+  const fixed = [z0, z1, ...cuts.filter(z => z > z0 && z < z1)], zs = [...fixed];
+  if (bottom > 0) zs.push(...steps(z0, z0 + bottom));
+  if (top > 0) zs.push(...steps(z1 - top, z1));
+  // steps landing next to the ends or a cut snap to it
+  const heights = [...new Set(zs.map(z => fixed.find(c => Math.abs(c - z) < SAME_HEIGHT) ?? z))]
+    .sort((a, b) => a - b)
+    .filter((z, k, hs) => k === 0 || z - hs[k - 1] >= SAME_HEIGHT);
+  const insetAt = z => {
+    const v = z < z0 + bottom ? f(bottom, z - z0) : z > z1 - top ? f(top, z1 - z) : 0;
+    return Math.round(v / INSET_GRAIN) * INSET_GRAIN;
+  };
+  const byInset = new Map([[0, loops]]);
+  const layers = [];
+  for (let k = 0; k < heights.length - 1; k++) {
+    const a = heights[k], b = heights[k + 1], inset = insetAt((a + b) / 2);
+    // strictly simple, as pieces pinched off by the inset may touch
+    if (!byInset.has(inset)) byInset.set(inset, polyUnion(offsetUnion(loops, -inset, BEVEL_TOLERANCE)));
+    const prev = layers.at(-1);
+    if (prev && prev.inset === inset && !cuts.includes(a)) prev.z1 = b;
+    else layers.push({ loops: byInset.get(inset), z0: a, z1: b, inset });
+  }
+  return layers.filter(l => l.loops.length).map(({ loops: ls, z0: a, z1: b }) => ({ loops: ls, z0: a, z1: b }));
+}
+
+// Stacked layers of the keychain body for an outline's text mode. Engraved and
+// cut-through text are holes in the base; every layer reuses the base loop arrays
+// where its edges are not set in, so the outer wall runs unbroken from bottom to top.
+function bodyLayers(outline) {
+  const { mode, base, baseTop, floor, edges = {} } = outline;
+  const shape = { profile: edges.profile, bottom: edges.baseBottom, top: edges.baseTop };
+  if (mode === "raised") return edgedLayers(base, 0, baseTop, shape);
+  // marks stay clear of the beveled edges, so they can be added to every layer they cross
+  const marks = markLoops(outline);
+  return edgedLayers(base, 0, baseTop, shape, [floor])
+    .map(l => l.z0 >= floor ? { ...l, loops: [...l.loops, ...marks] } : l);
+}
+
+// Raised marks standing on the base, their top edge set in like the text's
+function raisedLayers(outline, loops) {
+  const { baseTop, textTop, edges = {} } = outline;
+  return edgedLayers(loops, baseTop, textTop, { profile: edges.profile, top: edges.text });
+}
+
+/**
+ * Print bodies from a build's outline: base+tab as one solid, plus raised text and
+ * icon standing on it. text and icon are null when engraved or cut through, icon
+ * also when there is none.
+ */
+export function solidParts(outline) {
+  return { body: bodySolid(outline), text: raisedSolid(outline, outline.text), icon: raisedSolid(outline, outline.icon) };
+}
+
+export const bodySolid = outline => layeredSolid(bodyLayers(outline));
+
+// Loops standing on the base up to textTop; null unless the text is raised
+export function raisedSolid(outline, loops) {
+  return outline.mode === "raised" && loops?.length ? layeredSolid(raisedLayers(outline, loops)) : null;
+}
+
+// Every prism of the keychain, bottom to top, raised marks included
+export function unionLayers(outline) {
+  const layers = bodyLayers(outline);
+  if (outline.mode === "raised") layers.push(...raisedLayers(outline, markLoops(outline)));
+  return layers;
+}
+
+// The whole keychain as one boolean union, for single-body formats
+export const solidUnion = outline => layeredSolid(unionLayers(outline));
@@ -0,0 +1,42 @@
+import { SVGLoader } from "three/examples/jsm/loaders/SVGLoader.js";
+import { polyUnion } from "./geometry.js";
+
+// Outlines are stored centered, at this size across their larger side
+const OUTLINE_SIZE = 100;
+
+export const SVG_FILE_RE = /\.svg$/i;
+
+/**
+ * Filled regions of an SVG as model-space loops (y up), merged into one region,
+ * centered on the origin and scaled so the larger side is OUTLINE_SIZE.
+ * Needs DOMParser, so it runs on the main thread.
+ */
+export function svgToLoops(source) {
+  const { paths } = new SVGLoader().parse(source);
+  const loops = [];
+  for (const path of paths) {
+    if (path.userData?.style?.fill === "none") continue;
+    for (const shape of SVGLoader.createShapes(path)) {
+      const { shape: outer, holes } = shape.extractPoints(12);
+      for (const l of [outer, ...holes]) loops.push(l.map(v => [v.x, -v.y]).reverse());
+    }
+  }
+  const merged = polyUnion(loops.filter(l => l.length >= 3));
+  if (!merged.length) return [];
+  const pts = merged.flat(), xs = pts.map(q => q[0]), ys = pts.map(q => q[1]);
+  const [x1, y1, x2, y2] = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  const k = OUTLINE_SIZE / Math.max(x2 - x1, y2 - y1), cx = (x1 + x2) / 2, cy = (y1 + y2) / 2;
+  return merged.map(l => l.map(([x, y]) => [+((x - cx) * k).toFixed(3), +((y - cy) * k).toFixed(3)]));
+}
+
+/**
+ * Reads an uploaded SVG. Resolves to { name, loops }; rejects with a message fit
+ * for the UI when the file has no filled shapes.
+ */
+export async function readSvgFile(file) {
+  if (!SVG_FILE_RE.test(file.name)) throw new Error(`${file.name}: only .svg files are supported`);
+  let loops;
+  try { loops = svgToLoops(await file.text()); } catch (e) { throw new Error(`${file.name}: ${e.message}`); }
+  if (!loops.length) throw new Error(`${file.name}: no filled shapes found`);
+  return { name: file.name.replace(SVG_FILE_RE, ""), loops };
+}
@@ -0,0 +1,38 @@
+// Text handling shared by the UI and the geometry worker. Rendered text keeps any
+// character the font can draw; filenames are cleaned separately.
+
+// What a keychain's name may hold: MAX_LINES lines of MAX_LINE_CHARS characters
+export const MAX_LINES = 3;
+export const MAX_LINE_CHARS = 20;
+
+// Control and format characters (ZWJ, bidi marks) and variation selectors never render on their own
+const INVISIBLE_RE = /[\p{Cc}\p{Cf}\u{FE00}-\u{FE0F}]/gu;
+
+export function normalizeText(raw, maxLines, maxLineChars) {
+  return raw.normalize("NFC").split(/\r?\n/).slice(0, maxLines)
+    .map(l => Array.from(l.replace(INVISIBLE_RE, "")).slice(0, maxLineChars).join(""))
+    .join("\n");
+}
+
+export function hasGlyph(otFont, ch) {
+  return ch === " " || ch === "\n" || otFont.charToGlyphIndex(ch) > 0;
+}
+
+// Distinct characters in text that the font has no glyph for, in order of appearance
+export function findMissingGlyphs(otFont, text) {
+  return [...new Set(Array.from(text).filter(ch => !hasGlyph(otFont, ch)))];
+}
+
+// Drops characters the font cannot draw instead of rendering .notdef boxes
+export function supportedText(otFont, text) {
+  return Array.from(text).filter(ch => hasGlyph(otFont, ch)).join("");
+}
+
+// Letters and digits in any script are kept; path separators, reserved and symbol characters are not
+export function filenameChars(s) {
+  return s.normalize("NFC").replace(/[^\p{L}\p{M}\p{N} _.-]/gu, "");
+}
+
+export function safeFilename(s, fallback = "keychain") {
+  return filenameChars(s).replace(/\s+/g, " ").replace(/^[.\s]+|[.\s]+$/g, "") || fallback;
+}
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBatch } from "../src/batch.js";
+
+const FONTS = [
+  { key: "Pacifico:style=Regular", label: "Pacifico" },
+  { key: "Lobster:style=Regular", label: "Lobster Script" },
+];
+const LIMITS = { maxLines: 3, maxLineChars: 20 };
+const parse = source => parseBatch(source, FONTS, LIMITS);
+
+test("a plain list is one name per line", () => {
+  assert.deepEqual(parse("Ana\n\n  Jo  \r\nMax"), {
+    entries: [{ line: 1, name: "Ana" }, { line: 3, name: "Jo" }, { line: 4, name: "Max" }],
+    errors: [],
+  });
+  assert.deepEqual(parse("  \n"), { entries: [], errors: [] });
+});
+
+test("a CSV header names its columns in any order and spelling", () => {
+  const { entries, errors } = parse("Border_Color, Text , FONT,colour\n#112233,Ana,lobster script,ABCDEF\n,Jo,,");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(entries, [
+    { line: 2, name: "Ana", font: "Lobster:style=Regular", textColor: "#abcdef", borderColor: "#112233" },
+    { line: 3, name: "Jo" },
+  ]);
+});
+
+test("quoted cells keep commas and doubled quotes", () => {
+  const { entries } = parse('name,font\n"Smith, Jo",Pacifico\n"Say ""hi""",pacifico:style=regular');
+  assert.deepEqual(entries.map(e => [e.name, e.font]), [["Smith, Jo", "Pacifico:style=Regular"], ['Say "hi"', "Pacifico:style=Regular"]]);
+});
+
+test("bad rows are reported with their line and skipped", () => {
+  const { entries, errors } = parse("name,font,text color\nAna,Comic Sans,\n,Pacifico,\nJo,,blue\nMax,,#fff000");
+  assert.deepEqual(entries, [{ line: 5, name: "Max", textColor: "#fff000" }]);
+  assert.deepEqual(errors, [
+    { line: 2, name: "Ana", reason: 'Unknown font "Comic Sans"' },
+    { line: 3, name: ",Pacifico,", reason: "No name" },
+    { line: 4, name: "Jo", reason: '"blue" is not a #rrggbb color' },
+  ]);
+});
+
+test("names are cut to the editor's limits", () => {
+  assert.equal(parse("x".repeat(30)).entries[0].name, "x".repeat(20));
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, utimesSync, writeFileSync, readdirSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { cacheKey, openCache } from "../backend/cache.js";
+import { designSettings } from "../src/keychain.js";
+
+const fontBytes = Buffer.from("font file");
+const key = (settings, more = {}) => cacheKey({ format: "STL", settings: designSettings(settings), title: "Ana_Pacifico", fontBytes, ...more });
+
+test("equal designs share a key", () => {
+  const a = key({ name: "Ana", kerning: { AV: -1, To: 1 }, textCapHeight: 18 });
+  assert.match(a, /^[0-9a-f]{64}$/);
+  // other key order, defaults spelled out, invisible characters in the name
+  assert.equal(key({ kerning: { To: 1, AV: -1 }, textCapHeight: 18, name: "An\u200ba", textMode: "raised" }), a);
+  // the font counts by its contents
+  assert.equal(key({ name: "Ana", kerning: { AV: -1, To: 1 }, textCapHeight: 18 }, { fontBytes: Buffer.from("font file") }), a);
+});
+
+test("anything that changes the file changes the key", () => {
+  const a = key({ name: "Ana" });
+  assert.notEqual(key({ name: "Ana", textCapHeight: 19 }), a);
+  assert.notEqual(key({ name: "Ana" }, { format: "3MF" }), a);
+  assert.notEqual(key({ name: "Ana" }, { title: "Ana" }), a);
+  assert.notEqual(key({ name: "Ana" }, { fontBytes: Buffer.from("other font") }), a);
+});
+
+test("the cache drops the least recently used files past its size", async t => {
+  const dir = mkdtempSync(join(tmpdir(), "keychain-cache-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const k = i => String(i).repeat(64);
+  const cache = openCache({ dir, maxBytes: 250, maxAge: 60_000 });
+  await cache.put(k(1), "stl", Buffer.alloc(100, 1));
+  await cache.put(k(2), "stl", Buffer.alloc(100, 2));
+  assert.deepEqual(await cache.get(k(1)), Buffer.alloc(100, 1));
+  // last use is kept to the millisecond, so make 1 the fresher one for sure
+  utimesSync(join(dir, `${k(2)}.stl`), new Date(0), new Date(0));
+  const reopened = openCache({ dir, maxBytes: 250, maxAge: Infinity });
+  await reopened.put(k(3), "stl", Buffer.alloc(100, 3));
+  assert.equal(await reopened.get(k(2)), null);
+  assert.ok(await reopened.get(k(1)));
+  assert.deepEqual(reopened.stats(), { files: 2, bytes: 200 });
+  assert.deepEqual(readdirSync(dir).sort(), [`${k(1)}.stl`, `${k(3)}.stl`]);
+});
+
+test("the cache drops files unused for too long", async t => {
+  const dir = mkdtempSync(join(tmpdir(), "keychain-cache-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const k = i => String(i).repeat(64);
+  writeFileSync(join(dir, `${k(1)}.3mf`), "old");
+  writeFileSync(join(dir, `${k(2)}.3mf`), "new");
+  writeFileSync(join(dir, `${k(3)}.3mf.42.tmp`), "half");
+  const old = new Date(Date.now() - 120_000);
+  utimesSync(join(dir, `${k(1)}.3mf`), old, old);
+  const cache = openCache({ dir, maxBytes: Infinity, maxAge: 60_000 });
+  assert.deepEqual(cache.stats(), { files: 2, bytes: 6 });
+  assert.equal(await cache.get(k(1)), null);
+  assert.equal(String(await cache.get(k(2))), "new");
+  assert.deepEqual(readdirSync(dir), [`${k(2)}.3mf`]);
+});
+
+test("concurrent puts of one key write it once", async t => {
+  const dir = mkdtempSync(join(tmpdir(), "keychain-cache-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const k = "7".repeat(64);
+  const cache = openCache({ dir, maxBytes: Infinity, maxAge: Infinity });
+  await Promise.all([1, 2, 3].map(() => cache.put(k, "stl", Buffer.alloc(50_000, 7))));
+  assert.deepEqual(cache.stats(), { files: 1, bytes: 50_000 });
+  assert.deepEqual(readdirSync(dir), [`${k}.stl`]);
+  assert.deepEqual(await cache.get(k), Buffer.alloc(50_000, 7));
+});
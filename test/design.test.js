@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DESIGN_VERSION, validateDesign, designToJSON, parseDesignJSON, designToHash, designFromHash } from "../src/design.js";
+
+const design = {
+  name: "Jo\nAnn", font: "Pacifico:style=Regular", textCapHeight: 20, textMode: "engraved", textAlign: "left",
+  secondTab: true, tabAngle: 90, kerning: { AV: -0.4 }, arc: "down", borderColor: "#112233", textColor: "#ffeedd", svgOutline: null,
+  icon: { name: "heart.svg", loops: [[[0, 0], [4, 0], [2, 3]]] },
+};
+
+test("a design file round-trips", () => {
+  const data = JSON.parse(designToJSON(design));
+  assert.equal(data.version, DESIGN_VERSION);
+  assert.deepEqual(parseDesignJSON(designToJSON(design)), design);
+});
+
+test("a design link round-trips", () => {
+  const hash = designToHash(design);
+  assert.match(hash, /^design=[\w-]+$/);
+  assert.deepEqual(designFromHash(`#${hash}`), design);
+  assert.equal(designFromHash("#other=1"), null);
+  assert.throws(() => designFromHash("#design=bm90LXpsaWI"), /damaged/);
+});
+
+test("unversioned designs are migrated", () => {
+  // the first editor had a sliding tab and no version
+  assert.deepEqual(validateDesign({ settings: { name: "Ana", tabYOffset: 3 } }), { name: "Ana", tabAngle: 180 });
+  assert.deepEqual(validateDesign({ settings: { tabAngle: 90 } }), { tabAngle: 90 });
+  // and may hold the settings at the top level
+  assert.deepEqual(parseDesignJSON('{"name":"Ana","borderHeight":4}'), { name: "Ana", borderHeight: 4, tabAngle: 180 });
+});
+
+test("only known, valid settings are kept", () => {
+  assert.deepEqual(validateDesign({ version: DESIGN_VERSION, settings: { name: "Ana", unknown: 1 } }), { name: "Ana" });
+  assert.throws(() => validateDesign({ version: DESIGN_VERSION + 1, settings: {} }), /newer version/);
+  assert.throws(() => validateDesign({ version: 1.5, settings: {} }), /invalid version/);
+  assert.throws(() => validateDesign([]), /Not a keychain design/);
+  assert.throws(() => parseDesignJSON("{"), /not valid JSON/);
+});
+
+test("invalid settings are all reported", () => {
+  const settings = { textCapHeight: 1e6, textColor: "red", secondTab: "yes", kerning: { ABC: 1 } };
+  assert.throws(() => validateDesign({ version: DESIGN_VERSION, settings }), e =>
+    /textCapHeight must be between/.test(e.message) && /textColor must be a #rrggbb color/.test(e.message)
+    && /secondTab must be true or false/.test(e.message) && /"ABC", which is not a pair/.test(e.message));
+  assert.throws(() => validateDesign({ version: DESIGN_VERSION, settings: { kerning: { AV: 9 } } }), /kerning for "AV" must be between/);
+  assert.throws(() => validateDesign({ version: DESIGN_VERSION, settings: { icon: { name: "x", loops: [[[0, 0]]] } } }), /icon has a malformed outline/);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildKeychain, exportKeychain } from "../src/keychain.js";
+import { readBundledFont } from "../src/nodeFonts.js";
+import { checkWatertight } from "../src/solid.js";
+
+const font = readBundledFont("Pacifico");
+
+// a five-pointed star, centered like svg.js leaves uploaded icons
+const star = [Array.from({ length: 10 }, (_, i) => {
+  const a = Math.PI / 2 + i * Math.PI / 5, r = i % 2 ? 4 : 10;
+  return [r * Math.cos(a), r * Math.sin(a)];
+})];
+
+const CASES = {
+  "raised": {},
+  "engraved": { textMode: "engraved" },
+  "cut": { textMode: "cut", baseShape: "rect" },
+  "beveled raised": { textEdge: 0.6, baseTopEdge: 0.8, baseBottomEdge: 0.4 },
+  "filleted engraved": { textMode: "engraved", edgeProfile: "fillet", baseTopEdge: 1, baseBottomEdge: 0.6 },
+  "arced outline": { arc: "up", arcRadius: 40, textStyle: "outline", strokeWidth: 1.2 },
+  "spaced and kerned lines": { name: "AVA\nTo", letterSpacing: 1.5, kerning: { AV: -1, To: 0.8 }, textAlign: "left" },
+  "raised icon": { icon: { name: "star.svg", loops: star }, iconSide: "right", iconColorMode: "own" },
+  "engraved icon": { textMode: "engraved", icon: { name: "star.svg", loops: star }, iconSide: "above" },
+};
+
+for (const [label, settings] of Object.entries(CASES)) {
+  test(`${label} keychain is watertight`, () => {
+    const keychain = buildKeychain({ name: "Ana", font: font.key, ...settings, fontFile: font.bytes });
+    for (const [part, mesh] of Object.entries(keychain.meshes)) {
+      if (!mesh) continue;
+      const { ok, ...issues } = checkWatertight(mesh);
+      assert.ok(ok, `${part}: ${JSON.stringify(issues)}`);
+    }
+    // every format checks its solids again and throws if one leaks
+    const files = Object.keys(exportKeychain(keychain, "OBJ"));
+    assert.ok(files.length === 2 && files.every(f => /\.(obj|mtl)$/.test(f)));
+    assert.ok(Object.values(exportKeychain(keychain, "STL"))[0].byteLength > 84);
+  });
+}
+
+// Edges larger than the part allows are clamped to its height, where the top step
+// must still end exactly at the top
+test("keychains at the largest bevels are watertight", () => {
+  const cases = [
+    ...["raised", "engraved", "cut"].map(textMode => ({ textMode, borderHeight: 3, baseTopEdge: 3, baseBottomEdge: 2 })),
+    { textMode: "cut", borderHeight: 3.5, baseTopEdge: 2.6, edgeProfile: "fillet" },
+    { borderHeight: 0.5, textHeight: 3, textEdge: 10 },
+  ];
+  for (const { key, bytes } of [font, readBundledFont("Bhineka")]) {
+    for (const settings of cases) {
+      assert.doesNotThrow(() => exportKeychain(buildKeychain({ name: "Ana", font: key, ...settings, fontFile: bytes }), "3MF"), JSON.stringify(settings));
+    }
+  }
+});
+
+test("raised text and icons come as parts of their own", () => {
+  const { meshes } = buildKeychain({ name: "Ana", icon: { name: "star.svg", loops: star }, fontFile: font.bytes });
+  assert.ok(meshes.body && meshes.text && meshes.icon);
+  const engraved = buildKeychain({ name: "Ana", textMode: "engraved", fontFile: font.bytes });
+  assert.equal(engraved.meshes.text, null);
+});
+
+test("missing characters are reported, not drawn", () => {
+  assert.deepEqual(buildKeychain({ name: "Ana☃", fontFile: font.bytes }).missing, ["☃"]);
+  assert.throws(() => buildKeychain({ name: "☃", fontFile: font.bytes }), /none of the name's characters/);
+});
+
+test("settings are checked like design files", () => {
+  assert.throws(() => buildKeychain({ name: "Ana", textMode: "embossed", fontFile: font.bytes }), /textMode must be one of/);
+  assert.throws(() => buildKeychain({ name: "Ana", fontFile: "Pacifico" }), /fontFile must be/);
+});
+
+test("files are named after the name unless given a title", () => {
+  const keychain = buildKeychain({ name: "Jo\nAnn", fontFile: font.bytes });
+  assert.deepEqual(Object.keys(exportKeychain(keychain, "3MF")), ["Jo_Ann.3mf"]);
+  assert.deepEqual(Object.keys(exportKeychain(keychain, "STL", "gift")), ["gift.stl"]);
+  assert.throws(() => exportKeychain(keychain, "STEP"), /Unknown format/);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unzipSync, strFromU8 } from "fflate";
+import { packPlate, plateTransform, footprint, exportPlate } from "../src/plate.js";
+import { buildKeychain, designColors } from "../src/keychain.js";
+import { readBundledFont } from "../src/nodeFonts.js";
+
+const BED = { width: 100, height: 80, spacing: 5 };
+
+const overlaps = (a, b) => a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+
+test("packed boxes stay on the bed, apart by the spacing", () => {
+  const sizes = [{ w: 40, h: 20 }, { w: 30, h: 30 }, { w: 50, h: 10 }, { w: 20, h: 20 }, { w: 45, h: 15 }];
+  const places = packPlate(sizes, BED);
+  const boxes = places.map((p, i) => {
+    assert.ok(p, `box ${i} fits`);
+    const { w, h } = p.rotated ? { w: sizes[i].h, h: sizes[i].w } : sizes[i];
+    return { x1: p.x, y1: p.y, x2: p.x + w, y2: p.y + h };
+  });
+  for (const b of boxes) assert.ok(b.x1 >= -50 && b.x2 <= 50 && b.y1 >= -40 && b.y2 <= 40);
+  for (const [i, a] of boxes.entries()) {
+    for (const b of boxes.slice(i + 1)) {
+      assert.ok(!overlaps({ x1: a.x1 - 4.99, y1: a.y1 - 4.99, x2: a.x2 + 4.99, y2: a.y2 + 4.99 }, b));
+    }
+  }
+});
+
+test("boxes too wide are turned, boxes too big are left off", () => {
+  const [turned, off, rest] = packPlate([{ w: 120, h: 30 }, { w: 200, h: 200 }, { w: 10, h: 10 }], { width: 100, height: 150, spacing: 5 });
+  assert.equal(turned.rotated, true);
+  assert.equal(off, null);
+  assert.equal(rest.rotated, false);
+  // a full bed leaves the rest off too
+  assert.deepEqual(packPlate([{ w: 90, h: 70 }, { w: 90, h: 70 }], BED).map(Boolean), [true, false]);
+});
+
+test("plateTransform puts the footprint's corner at its place", () => {
+  const outline = { base: [[[-10, -4], [10, -4], [10, 6], [-10, 6]]] };
+  const at = { x: 3, y: -7 };
+  const { dx, dy } = plateTransform(outline, { ...at, rotated: false });
+  assert.deepEqual([-10 + dx, -4 + dy], [3, -7]);
+  // a quarter turn maps [x, y] to [-y, x]: the footprint's top edge becomes its left
+  const turn = plateTransform(outline, { ...at, rotated: true });
+  const corners = outline.base[0].map(([x, y]) => [turn.dx - y, turn.dy + x]);
+  assert.deepEqual([Math.min(...corners.map(c => c[0])), Math.min(...corners.map(c => c[1]))], [3, -7]);
+});
+
+test("a plate 3MF keeps every keychain an object of its own", () => {
+  const font = readBundledFont("Pacifico");
+  const keychain = buildKeychain({ name: "Ana", fontFile: font.bytes });
+  const [x1, y1, x2, y2] = footprint(keychain.outline);
+  const places = packPlate([0, 1, 2].map(() => ({ w: x2 - x1, h: y2 - y1 })), { width: 220, height: 220, spacing: 5 });
+  const items = places.map(p => ({ name: "Ana", outline: keychain.outline, transform: plateTransform(keychain.outline, p), colors: designColors(keychain.settings) }));
+  const model = strFromU8(unzipSync(exportPlate(items, "3MF", "plate"))["3D/3dmodel.model"]);
+  assert.equal(model.match(/<item /g).length, 3);
+  assert.equal(model.match(/<object [^>]*name="Ana"/g).length, 3);
+  assert.ok(exportPlate(items, "STL", "plate").byteLength > 84);
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createService } from "../backend/server.js";
+import { openCache } from "../backend/cache.js";
+
+const dir = mkdtempSync(join(tmpdir(), "keychain-service-"));
+const quiet = { log() {}, error() {} };
+let server, base;
+
+before(async () => {
+  server = createService({ cache: openCache({ dir, maxBytes: Infinity, maxAge: Infinity }), logger: quiet });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const generate = (body, { query = "", headers = {} } = {}) =>
+  fetch(`${base}/generate${query}`, { method: "POST", headers, body: typeof body === "string" ? body : JSON.stringify(body) });
+
+test("a design comes back as a file, then from the cache", async () => {
+  const first = await generate({ name: "Ana", font: "Pacifico" });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("content-type"), "model/stl");
+  assert.equal(first.headers.get("x-cache"), "MISS");
+  assert.match(first.headers.get("content-disposition"), /filename="Ana_Pacifico\.stl"/);
+  const stl = Buffer.from(await first.arrayBuffer());
+  assert.equal(stl.length, 84 + 50 * stl.readUInt32LE(80));
+
+  // the same design, spelled differently
+  const again = await generate({ settings: { font: "Pacifico:style=Regular", name: "Ana" } });
+  assert.equal(again.headers.get("x-cache"), "HIT");
+  assert.equal(again.headers.get("etag"), first.headers.get("etag"));
+  assert.deepEqual(Buffer.from(await again.arrayBuffer()), stl);
+});
+
+test("a matching If-None-Match gets a 304", async () => {
+  const first = await generate({ name: "Jo" }, { query: "?format=3mf" });
+  await first.arrayBuffer();
+  const etag = first.headers.get("etag");
+  assert.match(etag, /^"[0-9a-f]{64}"$/);
+  const cached = await generate({ name: "Jo" }, { query: "?format=3mf", headers: { "If-None-Match": `W/${etag}` } });
+  assert.equal(cached.status, 304);
+  assert.equal(cached.headers.get("etag"), etag);
+  const changed = await generate({ name: "Jo", textCapHeight: 24 }, { query: "?format=3mf", headers: { "If-None-Match": etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get("etag"), etag);
+  await changed.arrayBuffer();
+});
+
+test("bad requests get a 400 with the reason", async () => {
+  for (const [body, query, reason] of [
+    ["{name:", "", /not valid JSON/],
+    [{ name: "Ana", textMode: "embossed" }, "", /textMode must be one of/],
+    [{ name: "Ana" }, "?format=step", /Unknown format "step"/],
+    [{ name: "  " }, "", /name is required/],
+    [{ name: "Ana", font: "Comic Sans" }, "", /"Comic Sans" is not available/],
+  ]) {
+    const res = await generate(body, { query });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, reason);
+  }
+});
+
+test("other routes and methods are refused", async () => {
+  assert.deepEqual(await (await fetch(`${base}/health`)).json(), { status: "ok" });
+  assert.equal((await fetch(`${base}/nowhere`)).status, 404);
+  const get = await fetch(`${base}/generate`);
+  assert.equal(get.status, 405);
+  assert.equal(get.headers.get("allow"), "POST, OPTIONS");
+});